@@ -9,10 +9,38 @@
 let Redis, Redlock;
 const BaseCacher = require('moleculer/src/cachers/base');
 const _ = require('lodash');
+const { Readable } = require('stream');
+const readline = require('readline');
+const LocalLRU = require('lru-cache');
 const utils = require('moleculer/src/utils');
 const { METRIC } = require('moleculer/src/metrics');
-const { BrokerOptionsError } = require('moleculer/src/errors');
-const LRU = require('redis-lru');
+const { BrokerOptionsError, MoleculerError, MoleculerRetryableError } = require('moleculer/src/errors');
+const Serializers = require('moleculer/src/serializers');
+const LRU = require('./src/lru');
+const createCompressor = require('./src/compression');
+const METRICS = require('./src/metrics');
+
+// Default number of index entries scanned in a single round trip by `getCacheKeys`
+const KEYS_BATCH_SIZE = 1000;
+// Number of entries dumped or restored in a single round trip by `export` and `import`
+const SNAPSHOT_BATCH_SIZE = 100;
+
+// Header of the values saved with a soft TTL, followed by the time they become stale
+const STALE_MARKER = Buffer.from('\u0000SW');
+const STALE_HEADER_LENGTH = STALE_MARKER.length + 8;
+
+/**
+ * Get the service name of a cache key generated for an action
+ * (`<service>.<action>:<hash>`), or of a key like `<service>.<id>`.
+ *
+ * @param {String} key
+ * @returns {String?}
+ */
+function serviceName (key) {
+  const action = key.split(':')[0];
+  const index = action.lastIndexOf('.');
+  return index > 0 ? action.slice(0, index) : null;
+}
 
 /**
  * Cacher factory for Redis
@@ -36,10 +64,26 @@ class RedisLRUCacher extends BaseCacher {
       prefix: null,
       pingInterval: null,
       max: 1000,
-      namespace: 'REDIS-LRU!'
+      namespace: 'REDIS-LRU!',
+      evictionPolicy: 'lru'
     });
 
+    if (this.opts.circuitBreaker) {
+      this.opts.circuitBreaker = _.defaults(_.isPlainObject(this.opts.circuitBreaker) ? this.opts.circuitBreaker : {}, {
+        threshold: 5,
+        probeInterval: 5000
+      });
+    }
+
     this.pingIntervalHandle = null;
+    // state of the circuit breaker, Redis is bypassed while it's open
+    this.circuitOpen = false;
+    this.consecutiveErrors = 0;
+    // producers of `getOrSet` running in this process, by key
+    this.pendingProducers = new Map();
+    // background refreshes of stale entries running in this process, by key,
+    // kept apart as they may give back `null` without running the producer
+    this.pendingRefreshes = new Map();
   }
 
   /**
@@ -65,15 +109,7 @@ class RedisLRUCacher extends BaseCacher {
 		 * ioredis client instance
 		 * @memberof RedisCacher
 		 */
-    if (this.opts.cluster) {
-      if (!this.opts.cluster.nodes || this.opts.cluster.nodes.length === 0) {
-        throw new BrokerOptionsError('No nodes defined for cluster');
-      }
-
-      this.clientRedis = new Redis.Cluster(this.opts.cluster.nodes, this.opts.cluster.options);
-    } else {
-      this.clientRedis = new Redis(this.opts.redis);
-    }
+    this.clientRedis = this._createRedisClient();
 
     this.clientRedis.on('connect', () => {
       /* istanbul ignore next */
@@ -83,10 +119,24 @@ class RedisLRUCacher extends BaseCacher {
     this.clientRedis.on('error', err => {
       /* istanbul ignore next */
       this.logger.error(err);
+      this._onRedisFailure(err);
     });
 
-    // Create redis-lru
-    this.client = LRU(this.clientRedis, Object.assign({ maxAge: this.opts.ttl }, this.opts));
+    if (this.opts.sentinel) {
+      this._initSentinelMonitor();
+    }
+
+    // create an instance of serializer (default to JSON)
+    this.serializer = Serializers.resolve(this.opts.serializer);
+    this.serializer.init(this.broker);
+
+    if (this.opts.compression) {
+      this.compressor = createCompressor(this.opts.compression);
+    }
+
+    // Create the LRU cache. It expects `maxAge` in milliseconds, while cacher TTLs are in seconds
+    this.client = LRU(this.clientRedis, Object.assign({ maxAge: this.opts.ttl ? this.opts.ttl * 1000 : this.opts.ttl }, this.opts));
+    this._initPartitions();
 
     try {
       Redlock = require('redlock');
@@ -120,23 +170,50 @@ class RedisLRUCacher extends BaseCacher {
       });
     }
 
-    // add interval for ping if set
-    if (this.opts.pingInterval > 0) {
+    if (this.opts.local) {
+      this._initLocalCache();
+    }
+    this._initInvalidation();
+
+    // add interval for ping if set, the circuit breaker probes Redis with it
+    const pingInterval = this.opts.pingInterval > 0
+      ? this.opts.pingInterval
+      : (this.opts.circuitBreaker ? this.opts.circuitBreaker.probeInterval : null);
+    if (pingInterval > 0) {
       this.pingIntervalHandle = setInterval(() => {
         this.clientRedis
           .ping()
           .then(() => {
             this.logger.debug('Sent PING to Redis Server');
+            this._onRedisSuccess();
           })
           .catch(err => {
             this.logger.error('Failed to send PING to Redis Server', err);
+            this._onRedisFailure(err);
           });
-      }, Number(this.opts.pingInterval));
+      }, Number(pingInterval));
     }
 
     this.logger.debug('Redis Cacher created. Prefix: ' + this.prefix);
   }
 
+  /**
+	 * Register the metrics of the LRU cacher.
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  registerMoleculerMetrics () {
+    super.registerMoleculerMetrics();
+
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_SIZE_BYTES, type: METRIC.TYPE_GAUGE, unit: METRIC.UNIT_BYTE });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_ENTRIES_TOTAL, type: METRIC.TYPE_GAUGE });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_EVICTED_TOTAL, type: METRIC.TYPE_COUNTER, rate: true });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_COMPRESSION_SAVED_BYTES, type: METRIC.TYPE_COUNTER, unit: METRIC.UNIT_BYTE });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_CIRCUIT_OPEN, type: METRIC.TYPE_GAUGE });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_CIRCUIT_OPENED_TOTAL, type: METRIC.TYPE_COUNTER });
+    this.metrics.register({ name: METRICS.MOLECULER_CACHER_TIMEOUT_TOTAL, type: METRIC.TYPE_COUNTER, labelNames: ['operation'] });
+  }
+
   /**
 	 * Close Redis client connection
 	 *
@@ -147,192 +224,1533 @@ class RedisLRUCacher extends BaseCacher {
       clearInterval(this.pingIntervalHandle);
       this.pingIntervalHandle = null;
     }
-    return this.clientRedis != null ? this.clientRedis.quit() : Promise.resolve();
+    return Promise.all(
+      [this.clientRedis, this.clientSub, ...(this.clientSentinels || [])].filter(client => client != null).map(client => client.quit())
+    );
   }
 
   /**
-	 * Get data from cache by key
+	 * Create a Redis client from the connection options
 	 *
-	 * @param {any} key
-	 * @returns {Promise}
+	 * @returns {Redis|Redis.Cluster}
 	 *
-	 * @memberof Cacher
+	 * @memberof RedisLRUCacher
 	 */
-  get (key) {
-    this.logger.debug(`GET ${key}`);
-    this.metrics.increment(METRIC.MOLECULER_CACHER_GET_TOTAL);
-    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_GET_TIME);
-
-    return this.client.get(this.prefix + key).then(data => {
-      if (data) {
-        this.logger.debug(`FOUND ${key}`);
-        this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+  _createRedisClient () {
+    if (this.opts.cluster) {
+      if (!this.opts.cluster.nodes || this.opts.cluster.nodes.length === 0) {
+        throw new BrokerOptionsError('No nodes defined for cluster');
+      }
 
-        timeEnd();
-        return data;
+      return new Redis.Cluster(this.opts.cluster.nodes, this.opts.cluster.options);
+    }
+    if (this.opts.sentinel) {
+      const { sentinels, name, password, sentinelPassword, options } = this.opts.sentinel;
+      if (!sentinels || sentinels.length === 0) {
+        throw new BrokerOptionsError('No sentinels defined for sentinel');
       }
-      timeEnd();
-      return null;
+      if (!name) {
+        throw new BrokerOptionsError('No master name defined for sentinel');
+      }
+
+      return new Redis(Object.assign(
+        // reconnect to the new master as soon as a sentinel announces a failover
+        { failoverDetector: true },
+        this.opts.redis,
+        options,
+        _.omitBy({ sentinels, name, password, sentinelPassword }, _.isUndefined)
+      ));
+    }
+    return new Redis(this.opts.redis);
+  }
+
+  /**
+	 * Subscribe to the `+switch-master` events of the sentinels to log the
+	 * failovers of the master.
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _initSentinelMonitor () {
+    const { sentinels, name, sentinelPassword } = this.opts.sentinel;
+    let lastSwitch = null;
+
+    this.clientSentinels = sentinels.map(sentinel => {
+      const client = new Redis(_.omitBy(Object.assign({}, sentinel, { password: sentinelPassword }), _.isUndefined));
+      client.on('error', err => {
+        /* istanbul ignore next */
+        this.logger.debug('Redis sentinel error.', err);
+      });
+      client.on('message', (channel, message) => {
+        // <master name> <old ip> <old port> <new ip> <new port>
+        const [master, oldHost, oldPort, newHost, newPort] = message.split(' ');
+        // every sentinel announces the same failover
+        if (master !== name || message === lastSwitch) return;
+
+        lastSwitch = message;
+        this.logger.warn(`Redis master '${master}' switched from ${oldHost}:${oldPort} to ${newHost}:${newPort}.`);
+      });
+      client.subscribe('+switch-master', err => {
+        /* istanbul ignore next */
+        if (err) this.logger.warn('Unable to subscribe to the failovers of the sentinel.', err);
+      });
+      return client;
     });
   }
 
   /**
-	 * Save data to cache by key
+	 * Create an LRU cache with its own index for every configured partition.
+	 * The partitions inherit the options of the cacher, except the namespace.
 	 *
-	 * @param {String} key
-	 * @param {any} data JSON object
-	 * @param {Number} ttl Optional Time-to-Live
+	 * @memberof RedisLRUCacher
+	 */
+  _initPartitions () {
+    this.partitions = _.mapValues(this.opts.partitions, (partitionOpts, name) => {
+      const ttl = partitionOpts.ttl != null ? partitionOpts.ttl : this.opts.ttl;
+      const namespace = `${this.opts.namespace}-p-${name}`;
+      return {
+        name,
+        ttl,
+        client: LRU(this.clientRedis, Object.assign({}, this.opts, partitionOpts, { namespace, maxAge: ttl ? ttl * 1000 : ttl }))
+      };
+    });
+    // last known size of every partition, the gauges report the sum
+    this.partitionStats = new Map();
+  }
+
+  /**
+	 * Create the in-process L1 cache in front of Redis.
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _initLocalCache () {
+    const localOpts = _.defaults({}, this.opts.local, { max: 1000, ttl: this.opts.ttl });
+
+    this.localCache = new LocalLRU({ max: localOpts.max });
+    this.localTTL = localOpts.ttl;
+    this.localClone = localOpts.clone === true ? _.cloneDeep : localOpts.clone;
+  }
+
+  /**
+	 * Subscribe to the invalidation messages published on every del and
+	 * clean, and on every write with local cache, by the nodes sharing the
+	 * namespace.
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _initInvalidation () {
+    this.invalidationChannel = `${this.opts.namespace}-invalidate`;
+    /**
+		 * ioredis client instance in subscriber mode
+		 * @memberof RedisLRUCacher
+		 */
+    this.clientSub = this._createRedisClient();
+    this.clientSub.on('error', err => {
+      /* istanbul ignore next */
+      this.logger.error(err);
+    });
+    this.clientSub.on('message', (channel, message) => {
+      if (channel === this.invalidationChannel) this._onInvalidation(message);
+    });
+    this.clientSub.subscribe(this.invalidationChannel, err => {
+      /* istanbul ignore next */
+      if (err) this.logger.error('Unable to subscribe to the cache invalidation channel.', err);
+    });
+  }
+
+  /**
+	 * Run a Redis operation through the circuit breaker. While the circuit is
+	 * open, Redis is bypassed and the fallback is given back. Once enough
+	 * consecutive operations failed, the circuit opens until a ping succeeds.
+	 * The data which can't be serialized isn't a failure of Redis, it's
+	 * rejected as is. Without circuit breaker, the operation runs as is.
+	 *
+	 * @param {Function} operation Returns a Promise
+	 * @param {Function} fallback Returns the result to give back instead
 	 * @returns {Promise}
 	 *
-	 * @memberof Cacher
+	 * @memberof RedisLRUCacher
 	 */
-  set (key, data, ttl = null) {
-    this.metrics.increment(METRIC.MOLECULER_CACHER_SET_TOTAL);
-    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_SET_TIME);
+  _withBreaker (operation, fallback = () => null) {
+    if (!this.opts.circuitBreaker) return operation();
+    if (this.circuitOpen) return Promise.resolve(fallback());
 
-    this.logger.debug(`SET ${key}`);
+    return Promise.resolve()
+      .then(() => operation())
+      .then(
+        res => {
+          this.consecutiveErrors = 0;
+          return res;
+        },
+        err => {
+          if (err && err.type === 'CACHER_SERIALIZATION_ERROR') throw err;
 
-    if (ttl == null) ttl = this.opts.ttl;
+          this._onRedisFailure(err);
+          return fallback();
+        }
+      );
+  }
 
+  /**
+	 * Get the timeout of a call, the one given in its options or the
+	 * `timeout` option.
+	 *
+	 * @param {Object?} opts Options of the call
+	 * @returns {Number?} Timeout in milliseconds
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _timeout (opts = {}) {
+    return _.defaultTo(opts.timeout, this.opts.timeout);
+  }
 
-    let p;
-    if (ttl) {
-      p = this.client.set(this.prefix + key, data, ttl);
-    } else {
-      p = this.client.set(this.prefix + key, data);
-    }
+  /**
+	 * Race a Redis operation against a timer. The operation keeps running
+	 * after a timeout, but its result is ignored.
+	 *
+	 * @param {String} name Name of the operation, used in the error and the metric
+	 * @param {Number?} timeout Timeout in milliseconds, none if not positive
+	 * @param {Function} operation Returns a Promise
+	 * @returns {Promise} Rejects with a `CACHER_TIMEOUT` error on timeout
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _withTimeout (name, timeout, operation) {
+    if (!(timeout > 0)) return operation();
 
-    return p
-      .then(res => {
-        timeEnd();
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        this.metrics.increment(METRICS.MOLECULER_CACHER_TIMEOUT_TOTAL, { operation: name });
+        this.logger.warn(`Redis '${name}' timed out after ${timeout} ms.`);
+        reject(new MoleculerRetryableError(`Redis '${name}' timed out after ${timeout} ms.`, 504, 'CACHER_TIMEOUT', { operation: name, timeout }));
+      }, timeout);
+    });
+
+    return Promise.race([Promise.resolve().then(() => operation()), timeoutPromise]).then(
+      res => {
+        clearTimeout(timer);
         return res;
-      })
+      },
+      err => {
+        clearTimeout(timer);
+        throw err;
+      }
+    );
+  }
+
+  /**
+	 * Run a Redis operation through the circuit breaker, with a timeout. The
+	 * fallback is given back while the circuit is open and on timeout, so a
+	 * read times out as a miss and a write as a no-op. The timeout is already
+	 * logged.
+	 *
+	 * @param {String} name Name of the operation, used in the timeout error and metric
+	 * @param {Number?} timeout Timeout in milliseconds, none if not positive
+	 * @param {Function} operation Returns a Promise
+	 * @param {Function} fallback Returns the result to give back instead
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _callRedis (name, timeout, operation, fallback = () => null) {
+    return this._withBreaker(() => this._withTimeout(name, timeout, operation), fallback)
       .catch(err => {
-        timeEnd();
+        if (err && err.type === 'CACHER_TIMEOUT') return fallback();
         throw err;
       });
   }
 
   /**
-	 * Delete a key from cache
+	 * Close the circuit once Redis answers again.
 	 *
-	 * @param {string|Array<string>} deleteTargets
+	 * @memberof RedisLRUCacher
+	 */
+  _onRedisSuccess () {
+    this.consecutiveErrors = 0;
+    if (!this.circuitOpen) return;
+
+    this.circuitOpen = false;
+    this.metrics.set(METRICS.MOLECULER_CACHER_CIRCUIT_OPEN, 0);
+    this.logger.warn('Redis is available again. Circuit closed, the cache is enabled.');
+  }
+
+  /**
+	 * Count a failed operation or connection error, and open the circuit once
+	 * the threshold of consecutive errors is reached.
+	 *
+	 * @param {Error} err
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _onRedisFailure (err) {
+    if (!this.opts.circuitBreaker || this.circuitOpen) return;
+
+    this.consecutiveErrors++;
+    if (this.consecutiveErrors < this.opts.circuitBreaker.threshold) return;
+
+    this.circuitOpen = true;
+    this.metrics.set(METRICS.MOLECULER_CACHER_CIRCUIT_OPEN, 1);
+    this.metrics.increment(METRICS.MOLECULER_CACHER_CIRCUIT_OPENED_TOTAL);
+    this.logger.warn(`Redis is unavailable after ${this.consecutiveErrors} consecutive errors. Circuit opened, the cache is disabled.`, err);
+  }
+
+  /**
+	 * Get data from cache by key. A timeout is handled as a miss. The stale
+	 * entries are given back like the fresh ones, unless `flagStale` is set.
+	 *
+	 * @param {any} key
+	 * @param {Object} opts Optional options
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
+	 * @param {Boolean} opts.flagStale Give back `{ data, stale }` instead of the data, see `getWithTTL`
 	 * @returns {Promise}
 	 *
 	 * @memberof Cacher
 	 */
-  del (deleteTargets) {
-    const self = this;
-    this.metrics.increment(METRIC.MOLECULER_CACHER_DEL_TOTAL);
-    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_DEL_TIME);
+  get (key, opts = {}) {
+    this.logger.debug(`GET ${key}`);
+    this.metrics.increment(METRIC.MOLECULER_CACHER_GET_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_GET_TIME);
+    const result = (data, stale = false) => (opts.flagStale ? { data, stale } : data);
 
-    deleteTargets = Array.isArray(deleteTargets) ? deleteTargets : [deleteTargets];
-    const keysToDelete = deleteTargets.map(key => this.prefix + key);
-    this.logger.debug(`DELETE ${keysToDelete}`);
-    const p = keysToDelete.map(key => {
-      return self.client.del(key);
-    });
+    const localData = this._localGet(key);
+    if (localData !== undefined) {
+      this.logger.debug(`FOUND ${key} in local cache`);
+      this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+      timeEnd();
+      // the local cache never serves stale data
+      return this.broker.Promise.resolve(result(localData));
+    }
+
+    const found = (data, ttl, staleAt) => {
+      if (data == null) return result(null);
+
+      this.logger.debug(`FOUND ${key}`);
+      this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+      this._localSet(key, data, this._remainingTTL(ttl), staleAt);
+      return result(data, this._isStale(staleAt));
+    };
+    const read = () => this._partition(key).client
+      .getWithTTL(this.prefix + key)
+      .then(({ value, ttl }) => this._decode(key, value).then(({ data, staleAt }) => found(data, ttl, staleAt)));
 
-    return Promise.all(p)
+    return this._callRedis('get', this._timeout(opts), read, () => result(null))
       .then(res => {
         timeEnd();
         return res;
       })
       .catch(err => {
         timeEnd();
-        this.logger.error(`Redis 'del' error. Key: ${keysToDelete}`, err);
         throw err;
       });
   }
 
   /**
-	 * Clean cache. Remove every key by prefix
-	 *        http://stackoverflow.com/questions/4006324/how-to-atomically-delete-keys-matching-a-pattern-using-redis
-	 * alternative solution:
-	 *        https://github.com/cayasso/cacheman-redis/blob/master/lib/index.js#L125
-	 * @param {String|Array<String>} match Match string for SCAN. Default is "*"
+	 * Get data from cache by key without updating its score, so debugging
+	 * and monitoring reads don't skew the eviction order. The local cache is
+	 * bypassed. A timeout is handled as a miss.
+	 *
+	 * @param {String} key
+	 * @param {Object} opts Optional options
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
 	 * @returns {Promise}
 	 *
-	 * @memberof Cacher
+	 * @memberof RedisLRUCacher
 	 */
-  async clean (match = '**') {
-    this.metrics.increment(METRIC.MOLECULER_CACHER_CLEAN_TOTAL);
-    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_CLEAN_TIME);
+  peek (key, opts = {}) {
+    this.logger.debug(`PEEK ${key}`);
+    this.metrics.increment(METRIC.MOLECULER_CACHER_GET_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_GET_TIME);
 
-    const cleaningPatterns = Array.isArray(match) ? match : [match];
-    const matches = cleaningPatterns.map(match => this.prefix + match);
-    this.logger.debug(`CLEAN ${matches.join(', ')}`);
+    const read = () => this._partition(key).client
+      .peek(this.prefix + key)
+      .then(buf => this._decode(key, buf))
+      .then(({ data }) => {
+        if (data == null) return null;
 
-    const keys = await this.client.keys();
-    keys.forEach(async (key) => {
-      if (matches.some(match => utils.match(key, match))) {
-        this.logger.debug(`REMOVE ${key}`);
-        await this.client.del(key);
-      }
-    });
-    timeEnd();
+        this.logger.debug(`FOUND ${key}`);
+        this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+        return data;
+      });
 
-    return this.broker.Promise.resolve();
+    return this._callRedis('peek', this._timeout(opts), read)
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
   }
 
   /**
-	 * Get data and ttl from cache by key.
+	 * Check whether a key is in the cache, without updating its score. A
+	 * timeout is handled as a miss.
 	 *
-	 * @param {string|Array<string>} key
-	 * @returns {Promise}
+	 * @param {String} key
+	 * @param {Object} opts Optional options
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
+	 * @returns {Promise<Boolean>}
 	 *
-	 * @memberof RedisCacher
+	 * @memberof RedisLRUCacher
 	 */
-  getWithTTL (key) {
-    // There are no way to get the ttl of LRU cache :(
-    return this.client.get(key).then(data => {
-      return { data, ttl: null };
-    });
+  has (key, opts = {}) {
+    this.logger.debug(`HAS ${key}`);
+    this.metrics.increment(METRIC.MOLECULER_CACHER_GET_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_GET_TIME);
+
+    const read = () => this._partition(key).client
+      .has(this.prefix + key)
+      .then(found => {
+        if (found) {
+          this.logger.debug(`FOUND ${key}`);
+          this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+        }
+        return found;
+      });
+
+    return this._callRedis('has', this._timeout(opts), read, () => false)
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
   }
 
   /**
-	 * Acquire a lock
+	 * Get data of several keys from cache in a single round trip. The LRU
+	 * score of every found entry is updated like in `get`.
 	 *
-	 * @param {string|Array<string>} key
-	 * @param {Number} ttl Optional Time-to-Live
-	 * @returns {Promise}
+	 * @param {Array<String>} keys
+	 * @returns {Promise<Array>} Data in the order of the keys, `null` for missing ones
 	 *
-	 * @memberof RedisCacher
+	 * @memberof RedisLRUCacher
 	 */
-  lock (key, ttl = 15000) {
-    key = this.prefix + key + '-lock';
-    return this.redlock.lock(key, ttl).then(lock => {
-      return () => lock.unlock();
+  getMany (keys) {
+    this.logger.debug(`GET ${keys}`);
+    keys.forEach(() => this.metrics.increment(METRIC.MOLECULER_CACHER_GET_TOTAL));
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_GET_TIME);
+
+    const res = keys.map(key => {
+      const data = this._localGet(key);
+      if (data !== undefined) {
+        this.logger.debug(`FOUND ${key} in local cache`);
+        this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+      }
+      return data;
     });
+    const missedKeys = keys.filter((key, i) => res[i] === undefined);
+
+    if (missedKeys.length === 0) {
+      timeEnd();
+      return this.broker.Promise.resolve(res);
+    }
+
+    const readPartition = ([partition, keys]) => partition.client
+      .getManyWithTTL(keys.map(key => this.prefix + key))
+      .then(entries => keys.map((key, i) => [key, entries[i]]));
+    const decode = groups => {
+      const entries = new Map(_.flatten(groups));
+      return Promise.all(missedKeys.map(key => {
+        const { value, ttl } = entries.get(key);
+        return this._decode(key, value).then(decoded => Object.assign({ ttl }, decoded));
+      }));
+    };
+    const merge = values => {
+      const found = values.map(({ data, staleAt, ttl }, i) => {
+        const key = missedKeys[i];
+        if (data == null) return null;
+
+        this.logger.debug(`FOUND ${key}`);
+        this.metrics.increment(METRIC.MOLECULER_CACHER_FOUND_TOTAL);
+        this._localSet(key, data, this._remainingTTL(ttl), staleAt);
+        return data;
+      });
+      return res.map(data => (data !== undefined ? data : found.shift()));
+    };
+    const read = () => Promise.all(this._groupByPartition(missedKeys).map(readPartition)).then(decode).then(merge);
+    const missed = () => res.map(data => (data !== undefined ? data : null));
+
+    return this._callRedis('get', this._timeout(), read, missed)
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
   }
 
   /**
-	 * Try to acquire a lock
+	 * Save data to cache by key
 	 *
-	 * @param {string|Array<string>} key
+	 * @param {String} key
+	 * @param {any} data Data to serialize with the configured serializer
 	 * @param {Number} ttl Optional Time-to-Live
+	 * @param {Object} opts Optional options
+	 * @param {Array<String>} opts.tags Tags of the entry, see `invalidateTags`
+	 * @param {Number} opts.softTtl Time-to-Live after which the entry is stale, flagged by `get` and `getWithTTL`
+	 * @param {Number} opts.hardTtl Time-to-Live after which the entry is removed, instead of `ttl`
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
 	 * @returns {Promise}
 	 *
-	 * @memberof RedisCacher
+	 * @memberof Cacher
 	 */
-  tryLock (key, ttl = 15000) {
-    key = this.prefix + key + '-lock';
-    return this.redlockNonBlocking.lock(key, ttl).then(lock => {
-      return () => lock.unlock();
-    });
-  }
-
+  set (key, data, ttl = null, opts = {}) {
+    this.metrics.increment(METRIC.MOLECULER_CACHER_SET_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_SET_TIME);
+
+    this.logger.debug(`SET ${key}`);
+
+    const partition = this._partition(key);
+    if (opts.hardTtl != null) ttl = opts.hardTtl;
+    if (ttl == null) ttl = partition.ttl;
+
+    const tags = this._prefixTags(opts.tags);
+
+    const write = () => this._serialize(data, opts.softTtl).then(buf => {
+      if (tags) {
+        return partition.client.set(this.prefix + key, buf, ttl ? ttl * 1000 : null, tags);
+      }
+      if (ttl) {
+        return partition.client.set(this.prefix + key, buf, ttl * 1000);
+      }
+      return partition.client.set(this.prefix + key, buf);
+    });
+    const saved = res => {
+      this._updateStats(res, partition.name);
+      // the local cache never serves stale data
+      this._localSet(key, data, opts.softTtl || ttl);
+      this._onEvicted(res.evicted);
+      return this._publishWrite([this.prefix + key]).then(() => res);
+    };
+
+    return this._callRedis('set', this._timeout(opts), () => write().then(saved))
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
+  }
+
+  /**
+	 * Save several entries to cache in a single round trip. The entries
+	 * exceeding `max` are evicted once, after every entry is saved.
+	 *
+	 * @param {Array<Object>} entries Entries as `{ key, data, ttl, tags, softTtl, hardTtl }`, only `key` and `data` are required
+	 * @returns {Promise<Array<String>>} Keys of the evicted entries
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  setMany (entries) {
+    entries.forEach(() => this.metrics.increment(METRIC.MOLECULER_CACHER_SET_TOTAL));
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_SET_TIME);
+
+    this.logger.debug(`SET ${entries.map(entry => entry.key)}`);
+
+    if (entries.length === 0) {
+      timeEnd();
+      return Promise.resolve([]);
+    }
+
+    const writePartition = ([partition, group]) => partition.client
+      .setMany(group.map(({ key, value, ttl, tags, hardTtl }) => {
+        if (hardTtl != null) ttl = hardTtl;
+        if (ttl == null) ttl = partition.ttl;
+        return { key: this.prefix + key, value, maxAge: ttl ? ttl * 1000 : null, tags: this._prefixTags(tags) };
+      }))
+      .then(res => {
+        this._updateStats(res, partition.name);
+        return res.evicted;
+      });
+    const write = () => Promise.all(entries.map(({ data, softTtl }) => this._serialize(data, softTtl))).then(values => {
+      const serialized = entries.map((entry, i) => Object.assign({}, entry, { value: values[i] }));
+      return Promise.all(this._groupByPartition(serialized, entry => entry.key).map(writePartition));
+    });
+    const saved = groups => {
+      const evicted = _.flatten(groups);
+      entries.forEach(({ key, data, ttl, softTtl, hardTtl }) => {
+        if (hardTtl != null) ttl = hardTtl;
+        this._localSet(key, data, softTtl || (ttl == null ? this._partition(key).ttl : ttl));
+      });
+      this._onEvicted(evicted);
+      return this._publishWrite(entries.map(({ key }) => this.prefix + key))
+        .then(() => evicted.map(key => this._cacheKey(key)));
+    };
+
+    return this._callRedis('set', this._timeout(), () => write().then(saved), () => [])
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
+  }
+
+  /**
+	 * Delete a key from cache
+	 *
+	 * @param {string|Array<string>} deleteTargets
+	 * @param {Object} opts Optional options
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
+	 * @returns {Promise}
+	 *
+	 * @memberof Cacher
+	 */
+  del (deleteTargets, opts = {}) {
+    this.metrics.increment(METRIC.MOLECULER_CACHER_DEL_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_DEL_TIME);
+
+    deleteTargets = Array.isArray(deleteTargets) ? deleteTargets : [deleteTargets];
+    const keysToDelete = deleteTargets.map(key => this.prefix + key);
+    this.logger.debug(`DELETE ${keysToDelete}`);
+    const partitions = deleteTargets.map(key => this._partition(key));
+
+    const remove = () => Promise.all(keysToDelete.map((key, i) => partitions[i].client.del(key)))
+      .catch(err => {
+        this.logger.error(`Redis 'del' error. Key: ${keysToDelete}`, err);
+        throw err;
+      });
+    const removed = res => {
+      // the last result of every partition holds its current size
+      new Map(res.map((stats, i) => [partitions[i].name, stats])).forEach((stats, name) => this._updateStats(stats, name));
+      this._localDel(keysToDelete);
+      return this._publishInvalidation({ keys: keysToDelete }).then(() => res);
+    };
+    const skip = () => {
+      this._localDel(keysToDelete);
+      return null;
+    };
+
+    return this._callRedis('del', this._timeout(opts), () => remove().then(removed), skip)
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
+  }
+
+  /**
+	 * Clean cache. Remove every key by prefix
+	 *        The matching entries are removed from the values and the LRU index
+	 *        batch by batch, each batch in a single Lua script, so the index
+	 *        never goes out of sync. The clean as a whole is not atomic: the
+	 *        entries written meanwhile may be kept or removed.
+	 * @param {String|Array<String>} match Match string for the keys. Default is "**"
+	 * @param {Object} opts Optional options
+	 * @param {Number} opts.timeout Timeout in milliseconds, instead of the `timeout` option
+	 * @returns {Promise<Number>} Number of removed entries
+	 *
+	 * @memberof Cacher
+	 */
+  clean (match = '**', opts = {}) {
+    this.metrics.increment(METRIC.MOLECULER_CACHER_CLEAN_TOTAL);
+    const timeEnd = this.metrics.timer(METRIC.MOLECULER_CACHER_CLEAN_TIME);
+
+    const cleaningPatterns = Array.isArray(match) ? match : [match];
+    const matches = cleaningPatterns.map(match => this.prefix + match);
+    this.logger.debug(`CLEAN ${matches.join(', ')}`);
+
+    const cleanPartition = partition => partition.client
+      .clean(matches)
+      .then(({ removed, bytes, count }) => {
+        this._updateStats({ bytes, count }, partition.name);
+        return removed;
+      });
+    const remove = () => Promise.all(this._allPartitions().map(cleanPartition))
+      .catch(err => {
+        this.logger.error(`Redis 'clean' error. Pattern: ${matches.join(', ')}`, err);
+        throw err;
+      });
+    const cleaned = res => {
+      const removed = _.sum(res);
+      this.logger.debug(`REMOVED ${removed} entries`);
+      this._localClean(matches);
+      return this._publishInvalidation({ patterns: matches }).then(() => removed);
+    };
+    const skip = () => {
+      this._localClean(matches);
+      return 0;
+    };
+
+    return this._callRedis('clean', this._timeout(opts), () => remove().then(cleaned), skip)
+      .then(res => {
+        timeEnd();
+        return res;
+      })
+      .catch(err => {
+        timeEnd();
+        throw err;
+      });
+  }
+
+  /**
+	 * Remove every entry saved with one of the given tags.
+	 *
+	 * @param {String|Array<String>} tags
+	 * @returns {Promise<Number>} Number of removed entries
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  invalidateTags (tags) {
+    tags = Array.isArray(tags) ? tags : [tags];
+    this.logger.debug(`INVALIDATE TAGS ${tags}`);
+
+    return this._withBreaker(() => Promise.all(this._allPartitions().map(partition => partition.client
+      .invalidateTags(this._prefixTags(tags))
+      .then(({ keys, bytes, count }) => {
+        this._updateStats({ bytes, count }, partition.name);
+        return keys;
+      })))
+      .then(groups => {
+        const keys = _.flatten(groups);
+        this.logger.debug(`REMOVED ${keys.length} entries`);
+        this._localDel(keys);
+        return this._publishInvalidation({ keys }).then(() => keys.length);
+      })
+      .catch(err => {
+        this.logger.error(`Redis 'invalidateTags' error. Tags: ${tags}`, err);
+        throw err;
+      }), () => 0);
+  }
+
+  /**
+	 * Get data from cache by key, or save the data given by the producer if
+	 * the key is missing. Concurrent calls for a missing key share a single
+	 * producer in the process, and across nodes with Redlock: the producer
+	 * only runs on the node holding the lock of the key, once it has checked
+	 * the key is still missing. Without Redlock, while the circuit is open or
+	 * if the lock can't be acquired, every node runs its own producer.
+	 *
+	 * @param {String} key
+	 * @param {Function} producer Returns the data or a Promise of it. `null` and `undefined` aren't saved
+	 * @param {Number} ttl Optional Time-to-Live
+	 * @param {Object} opts Optional options of `set`
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  getOrSet (key, producer, ttl = null, opts = {}) {
+    if (this.pendingProducers.has(key)) return this.pendingProducers.get(key);
+
+    const p = this.get(key)
+      .then(data => {
+        if (data != null) return data;
+        // Redlock can't lock while Redis is bypassed
+        if (!this.redlock || this.circuitOpen) return this._produce(key, producer, ttl, opts);
+
+        return this.lock(key).then(
+          unlock => {
+            const release = () => unlock().catch(err => {
+              this.logger.warn(`Unable to release the lock of '${key}'.`, err);
+            });
+            // an other node may have saved it while waiting for the lock
+            return this.get(key)
+              .then(data => (data != null ? data : this._produce(key, producer, ttl, opts)))
+              .then(
+                data => release().then(() => data),
+                err => release().then(() => { throw err; })
+              );
+          },
+          err => {
+            this.logger.warn(`Unable to acquire the lock of '${key}'. Producing without it.`, err);
+            return this._produce(key, producer, ttl, opts);
+          }
+        );
+      })
+      .then(
+        data => {
+          this.pendingProducers.delete(key);
+          return data;
+        },
+        err => {
+          this.pendingProducers.delete(key);
+          throw err;
+        }
+      );
+
+    this.pendingProducers.set(key, p);
+    return p;
+  }
+
+  /**
+	 * Run the producer of `getOrSet` and save its data. The data is given
+	 * back even if it can't be saved.
+	 *
+	 * @param {String} key
+	 * @param {Function} producer
+	 * @param {Number} ttl
+	 * @param {Object} opts
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _produce (key, producer, ttl, opts) {
+    return Promise.resolve()
+      .then(() => producer())
+      .then(data => {
+        if (data == null) return data;
+
+        return this.set(key, data, ttl, opts).then(() => data, err => {
+          this.logger.warn(`Unable to save the produced data of '${key}'.`, err);
+          return data;
+        });
+      });
+  }
+
+  /**
+	 * Refresh a stale entry in the background, unless it's already being
+	 * refreshed by this process or, with Redlock, by an other node. The stale
+	 * entry is kept if the producer fails.
+	 *
+	 * @param {String} key
+	 * @param {Function} producer
+	 * @param {Number} ttl
+	 * @param {Object} opts Options of `set`
+	 * @param {Number} lockTTL Optional Time-to-Live of the lock
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _revalidate (key, producer, ttl, opts, lockTTL) {
+    if (this.pendingRefreshes.has(key) || this.pendingProducers.has(key)) return;
+
+    const refresh = () => this._produce(key, producer, ttl, opts).catch(err => {
+      this.logger.warn(`Unable to refresh the stale entry '${key}'.`, err);
+      return null;
+    });
+
+    let p;
+    if (this.redlock && !this.circuitOpen) {
+      p = this.tryLock(key, lockTTL).then(
+        unlock => refresh().then(data => unlock().then(() => data, () => data)),
+        // the entry is being refreshed by an other node
+        () => null
+      );
+    } else {
+      p = refresh();
+    }
+
+    this.pendingRefreshes.set(key, p);
+    p.then(() => this.pendingRefreshes.delete(key));
+  }
+
+  /**
+	 * Register cacher as a middleware. Actions caching with a `softTtl` serve
+	 * their stale entries and refresh them in the background, see `_revalidate`.
+	 * The entries are removed after `hardTtl` (or `ttl`).
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  middleware () {
+    const baseMiddleware = super.middleware();
+
+    return (handler, action) => {
+      const opts = _.defaultsDeep({}, _.isPlainObject(action.cache) ? action.cache : { enabled: !!action.cache });
+      if (opts.enabled === false || !opts.softTtl) return baseMiddleware(handler, action);
+
+      const setOpts = { softTtl: opts.softTtl, hardTtl: opts.hardTtl };
+      const lockTTL = _.isPlainObject(opts.lock) ? opts.lock.ttl : undefined;
+
+      return function cacherMiddleware (ctx) {
+        if (_.isFunction(opts.enabled) && !opts.enabled.call(ctx.service, ctx)) return handler(ctx);
+        // Disable caching with `ctx.meta.$cache = false`
+        if (ctx.meta.$cache === false) return handler(ctx);
+
+        const cacheKey = this.getCacheKey(action.name, ctx.params, ctx.meta, opts.keys);
+        return this.getWithTTL(cacheKey).then(({ data, stale }) => {
+          if (data != null) {
+            ctx.cachedResult = true;
+            if (stale) {
+              this.logger.debug(`STALE ${cacheKey}`);
+              this._revalidate(cacheKey, () => handler(ctx), opts.ttl, setOpts, lockTTL);
+            }
+            return data;
+          }
+
+          return this.getOrSet(cacheKey, () => handler(ctx), opts.ttl, setOpts);
+        });
+      }.bind(this);
+    };
+  }
+
+  /**
+	 * Get data and ttl from cache by key. Entries saved with a soft TTL are
+	 * flagged `stale` once it's elapsed.
+	 *
+	 * @param {string|Array<string>} key
+	 * @returns {Promise<Object>} `{ data, ttl, stale }`
+	 *
+	 * @memberof RedisCacher
+	 */
+  getWithTTL (key) {
+    const partition = this._partition(key);
+    const read = () => partition.client
+      .getWithTTL(this.prefix + key)
+      .then(({ value, ttl: pttl }) => this._decode(key, value).then(({ data, staleAt }) => {
+        if (data != null) {
+          this.logger.debug(`FOUND ${key}`);
+        }
+        // PTTL returns -1 for persistent keys and -2 for missing ones
+        const ttl = data != null && pttl >= 0 ? pttl / 1000 : null;
+        const stale = data != null && this._isStale(staleAt);
+        return { data, ttl, stale };
+      }));
+
+    return this._callRedis('get', this._timeout(), read, () => ({ data: null, ttl: null, stale: false }));
+  }
+
+  /**
+	 * Prefix the tags like the keys, so cachers with different prefixes
+	 * sharing a namespace don't invalidate each other's entries.
+	 *
+	 * @param {Array<String>?} tags
+	 * @returns {Array<String>?} Prefixed tags, `null` if there are none
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _prefixTags (tags) {
+    if (!tags || tags.length === 0) return null;
+
+    return tags.map(tag => this.prefix + tag);
+  }
+
+  /**
+	 * Serialize data to store in Redis, and compress it if it reaches the
+	 * compression threshold. With a soft TTL, the value is prefixed with the
+	 * time it becomes stale.
+	 *
+	 * @param {any} data
+	 * @param {Number?} softTtl Optional soft Time-to-Live in seconds
+	 * @returns {Promise<Buffer>} Rejects with a `CACHER_SERIALIZATION_ERROR` error if the
+	 * data can't be serialized or compressed
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _serialize (data, softTtl = null) {
+    return Promise.resolve()
+      .then(() => this.serializer.serialize(data))
+      .then(buf => {
+        if (!this.compressor) return buf;
+
+        return this.compressor.compress(buf).then(({ value, saved }) => {
+          if (saved > 0) this.metrics.increment(METRICS.MOLECULER_CACHER_COMPRESSION_SAVED_BYTES, null, saved);
+          return value;
+        });
+      })
+      .then(buf => {
+        if (!softTtl) return buf;
+
+        const header = Buffer.alloc(STALE_HEADER_LENGTH);
+        STALE_MARKER.copy(header);
+        header.writeDoubleBE(Date.now() + softTtl * 1000, STALE_MARKER.length);
+        return Buffer.concat([header, Buffer.isBuffer(buf) ? buf : Buffer.from(buf)]);
+      })
+      .catch(err => {
+        throw new MoleculerError(`Unable to serialize the cached data. ${err.message}`, 500, 'CACHER_SERIALIZATION_ERROR', { error: err.message });
+      });
+  }
+
+  /**
+	 * Check whether a value read with `_decode` is stale.
+	 *
+	 * @param {Number?} staleAt Time in milliseconds the value becomes stale
+	 * @returns {Boolean}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _isStale (staleAt) {
+    return staleAt != null && staleAt <= Date.now();
+  }
+
+  /**
+	 * Decompress and deserialize a value read from Redis. A value which can't
+	 * be deserialized is logged and handled as a missing entry.
+	 *
+	 * @param {String} key
+	 * @param {Buffer?} buf
+	 * @returns {Promise<Object>} `{ data, staleAt }`, data is `null` if missing or invalid and
+	 * staleAt is `null` for values saved without soft TTL
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _decode (key, buf) {
+    if (buf == null) return Promise.resolve({ data: null, staleAt: null });
+
+    let staleAt = null;
+    if (Buffer.isBuffer(buf) && buf.length >= STALE_HEADER_LENGTH && buf.slice(0, STALE_MARKER.length).equals(STALE_MARKER)) {
+      staleAt = buf.readDoubleBE(STALE_MARKER.length);
+      buf = buf.slice(STALE_HEADER_LENGTH);
+    }
+
+    // compressed values stay readable after the compression is disabled
+    return createCompressor.decompress(buf)
+      .then(buf => ({ data: this.serializer.deserialize(buf), staleAt }))
+      .catch(err => {
+        this.logger.error(`Redis result parse error. Key: ${key}`, err);
+        return { data: null, staleAt: null };
+      });
+  }
+
+
+  /**
+	 * Get the partition of a key. Keys without a configured partition belong
+	 * to the default one.
+	 *
+	 * @param {String} key
+	 * @returns {Object} `{ name, client, ttl }`, the name of the default partition is `null`
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _partition (key) {
+    const name = this.opts.partitionKey ? this.opts.partitionKey(key) : serviceName(key);
+    if (name != null && this.partitions[name]) return this.partitions[name];
+
+    return { name: null, client: this.client, ttl: this.opts.ttl };
+  }
+
   /**
-	 * Return all cache keys with available properties (ttl, lastUsed, ...etc).
+	 * Get the default partition followed by the configured ones.
 	 *
-	 * @returns Promise<Array<Object>>
+	 * @returns {Array<Object>}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _allPartitions () {
+    return [{ name: null, client: this.client, ttl: this.opts.ttl }].concat(_.values(this.partitions));
+  }
+
+  /**
+	 * Group items by the partition of their key, in order of first appearance.
+	 *
+	 * @param {Array} items
+	 * @param {Function} getKey Gives the key of an item, default is the item itself
+	 * @returns {Array<Array>} `[partition, items]` pairs
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _groupByPartition (items, getKey = item => item) {
+    const groups = new Map();
+    items.forEach(item => {
+      const partition = this._partition(getKey(item));
+      if (!groups.has(partition.name)) groups.set(partition.name, [partition, []]);
+      groups.get(partition.name)[1].push(item);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+	 * Update the gauges of the cache size from the result of a write. The
+	 * gauges report the total of every partition.
+	 *
+	 * @param {Object} stats `{ bytes, count }`
+	 * @param {String?} partition Name of the partition, `null` for the default one
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _updateStats ({ bytes, count }, partition = null) {
+    this.partitionStats.set(partition, { bytes, count });
+
+    const stats = Array.from(this.partitionStats.values());
+    this.metrics.set(METRICS.MOLECULER_CACHER_SIZE_BYTES, _.sumBy(stats, 'bytes'));
+    this.metrics.set(METRICS.MOLECULER_CACHER_ENTRIES_TOTAL, _.sumBy(stats, 'count'));
+  }
+
+  /**
+	 * Report the entries evicted by a write, and remove them from the local cache.
+	 *
+	 * @param {Array<String>} evicted Prefixed keys
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _onEvicted (evicted) {
+    if (evicted.length === 0) return;
+
+    this.logger.debug(`EVICTED ${evicted}`);
+    this.metrics.increment(METRICS.MOLECULER_CACHER_EVICTED_TOTAL, null, evicted.length);
+    this._localDel(evicted);
+    this.broker.broadcastLocal('$cacher.evicted', { keys: evicted.map(key => this._cacheKey(key)) });
+  }
+
+  /**
+	 * Get data from the local cache. Returns `undefined` if the local cache
+	 * is disabled or the key is not found.
+	 *
+	 * @param {String} key
+	 * @returns {any}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _localGet (key) {
+    if (!this.localCache) return undefined;
+
+    const data = this.localCache.get(this.prefix + key);
+    return data !== undefined && this.localClone ? this.localClone(data) : data;
+  }
+
+  /**
+	 * Convert the remaining Time-to-Live of a Redis entry, read with the
+	 * semantics of the PTTL command, to the one of its local copy.
+	 *
+	 * @param {Number} pttl Remaining Time-to-Live in milliseconds
+	 * @returns {Number?} Time-to-Live in seconds, `null` for persistent entries
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _remainingTTL (pttl) {
+    if (pttl == null || pttl < 0) return null;
+
+    // an entry about to expire must not become persistent in the local cache
+    return Math.max(pttl, 1) / 1000;
+  }
+
+  /**
+	 * Save data to the local cache. The local entry never outlives the Redis
+	 * one, and stale entries are never saved.
+	 *
+	 * @param {String} key
+	 * @param {any} data
+	 * @param {Number} ttl Optional Time-to-Live of the Redis entry
+	 * @param {Number} staleAt Optional time in milliseconds the Redis entry becomes stale
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _localSet (key, data, ttl = null, staleAt = null) {
+    if (!this.localCache) return;
+    if (staleAt != null) {
+      if (staleAt <= Date.now()) return;
+      ttl = _.min([ttl, (staleAt - Date.now()) / 1000].filter(Boolean));
+    }
+
+    const maxAge = _.min([this.localTTL, ttl].filter(Boolean));
+    this.localCache.set(this.prefix + key, this.localClone ? this.localClone(data) : data, maxAge ? maxAge * 1000 : 0);
+  }
+
+  /**
+	 * Remove entries from the local cache.
+	 *
+	 * @param {Array<String>} keys Prefixed keys
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _localDel (keys) {
+    if (!this.localCache) return;
+
+    keys.forEach(key => this.localCache.del(key));
+  }
+
+  /**
+	 * Remove entries matching any of the patterns from the local cache.
+	 *
+	 * @param {Array<String>} patterns Prefixed patterns
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _localClean (patterns) {
+    if (!this.localCache) return;
+
+    this.localCache.keys().forEach(key => {
+      if (patterns.some(pattern => utils.match(key, pattern))) {
+        this.localCache.del(key);
+      }
+    });
+  }
+
+  /**
+	 * Notify the nodes sharing the namespace of invalidated or written
+	 * entries, or of a new max number of entries.
+	 *
+	 * @param {Object} payload `{ keys }`, `{ patterns }` or `{ written }`, all prefixed, or `{ resize }`
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _publishInvalidation (payload) {
+    const message = JSON.stringify(Object.assign({ sender: this.broker.instanceID }, payload));
+    return this.clientRedis.publish(this.invalidationChannel, message).catch(err => {
+      this.logger.error('Unable to publish the cache invalidation message.', err);
+    });
+  }
+
+  /**
+	 * Notify the other nodes of written entries, so they drop their local
+	 * copies. It is published even without local cache, as the other nodes
+	 * sharing the namespace may have one.
+	 *
+	 * @param {Array<String>} keys Prefixed keys
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _publishWrite (keys) {
+    return this._publishInvalidation({ written: keys });
+  }
+
+  /**
+	 * Handle an invalidation message. Every invalidation, including the ones
+	 * of this node, is emitted as a `$cacher.invalidated` local event, while
+	 * the local cache only handles the messages of the other nodes. The write
+	 * and resize messages of the other nodes update the local cache and the
+	 * size of the cache of this node, without event.
+	 *
+	 * @param {String} message
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _onInvalidation (message) {
+    let payload;
+    try {
+      payload = JSON.parse(message);
+    } catch (err) {
+      this.logger.warn('Invalid cache invalidation message.', message);
+      return;
+    }
+    if (payload.resize) {
+      if (payload.sender === this.broker.instanceID) return;
+
+      this.resize(payload.resize.max, { partition: payload.resize.partition }).catch(err => {
+        this.logger.error('Unable to resize the cache.', err);
+      });
+      return;
+    }
+    if (payload.written) {
+      if (!this.localCache || payload.sender === this.broker.instanceID) return;
+
+      this._localDel(payload.written);
+      return;
+    }
+    this.broker.broadcastLocal('$cacher.invalidated', payload);
+
+    if (!this.localCache || payload.sender === this.broker.instanceID) return;
+
+    this.logger.debug('Invalidate local cache', payload);
+    if (payload.keys) this._localDel(payload.keys);
+    if (payload.patterns) this._localClean(payload.patterns);
+  }
+
+  /**
+	 * Remove the prefix of this cacher from a key.
+	 *
+	 * @param {String} key
+	 * @returns {String}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  _cacheKey (key) {
+    return key.startsWith(this.prefix) ? key.slice(this.prefix.length) : key;
+  }
+
+  /**
+	 * Acquire a lock
+	 *
+	 * @param {string|Array<string>} key
+	 * @param {Number} ttl Optional Time-to-Live
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisCacher
+	 */
+  lock (key, ttl = 15000) {
+    key = this.prefix + key + '-lock';
+    return this.redlock.lock(key, ttl).then(lock => {
+      return () => lock.unlock();
+    });
+  }
+
+  /**
+	 * Try to acquire a lock
+	 *
+	 * @param {string|Array<string>} key
+	 * @param {Number} ttl Optional Time-to-Live
+	 * @returns {Promise}
+	 *
+	 * @memberof RedisCacher
 	 */
-  async getCacheKeys () {
-    const keys = await this.client.keys();
-    return keys.map(key => ({
-      key: key.startsWith(this.prefix) ? key.slice(this.prefix.length) : key
-    }));
+  tryLock (key, ttl = 15000) {
+    key = this.prefix + key + '-lock';
+    return this.redlockNonBlocking.lock(key, ttl).then(lock => {
+      return () => lock.unlock();
+    });
+  }
+
+  /**
+	 * Iterate over the entries matching the patterns, batch by batch, with
+	 * their properties: the remaining `ttl` in seconds (`null` without
+	 * expiry, `0` for the expired entries not removed from the index yet),
+	 * the time of last use `lastUsed` (`null` if unknown), the serialized
+	 * `size` in bytes and the number of `hits`. Like with ZSCAN, the order is
+	 * unspecified and an entry may be given more than once.
+	 *
+	 * @param {Object} opts
+	 * @param {String|Array<String>} opts.match Match string for the keys. Default is "**"
+	 * @param {Number} opts.count Number of index entries scanned per batch. Default is `100`
+	 * @returns {AsyncIterator<Object>}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  async * scan ({ match = '**', count = 100 } = {}) {
+    const patterns = (Array.isArray(match) ? match : [match]).map(match => this.prefix + match);
+
+    let cursor = '0';
+    do {
+      const batch = await this._scanBatch(cursor, patterns, count);
+      cursor = batch.cursor;
+      yield * batch.entries;
+    } while (cursor !== '0');
+  }
+
+  /**
+	 * Scan a batch of the index of a partition for the entries matching the
+	 * patterns, with their properties (see `scan`). The cursor is `'0'` to
+	 * start and once every partition is scanned, else the index of the
+	 * partition and its ZSCAN cursor, as `<index>:<cursor>`.
+	 *
+	 * @param {String} cursor
+	 * @param {Array<String>} patterns Prefixed patterns
+	 * @param {Number} count Number of index entries scanned
+	 * @returns {Promise<Object>} `{ cursor, entries }`, with the cursor of the next batch
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  async _scanBatch (cursor, patterns, count) {
+    const partitions = this._allPartitions();
+    const [index, partitionCursor] = (cursor === '0' ? '0:0' : cursor).split(':');
+    const partition = partitions[index];
+    if (!partition || partitionCursor == null) {
+      throw new BrokerOptionsError(`Invalid cursor '${cursor}'.`);
+    }
+
+    const batch = await partition.client.scan(partitionCursor, patterns, count);
+    const entries = batch.keys.length > 0 ? await partition.client.inspect(batch.keys) : [];
+
+    let next = '0';
+    if (batch.cursor !== '0') next = `${index}:${batch.cursor}`;
+    else if (partitions[Number(index) + 1]) next = `${Number(index) + 1}:0`;
+
+    return {
+      cursor: next,
+      entries: entries.map(({ key, ttl, size, hits, lastUsed }) => ({
+        key: this._cacheKey(key),
+        // PTTL gives -2 for the expired entries not removed from the index yet
+        ttl: ttl === -2 ? 0 : ttl >= 0 ? ttl / 1000 : null,
+        lastUsed,
+        size,
+        hits
+      }))
+    };
+  }
+
+  /**
+	 * Change the max number of entries of the cache, or of one of its
+	 * partitions, and evict the entries exceeding it right away. The other
+	 * nodes sharing the namespace keep their own limit, unless the change is
+	 * propagated to them.
+	 *
+	 * @param {Number} max New max number of entries
+	 * @param {Object} opts Optional options
+	 * @param {String} opts.partition Name of the partition to resize, the default one if not set
+	 * @param {Boolean} opts.propagate Resize the cache of every node sharing the namespace
+	 * @returns {Promise<Array<String>>} Keys of the evicted entries
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  resize (max, { partition = null, propagate = false } = {}) {
+    if (!Number.isInteger(max) || max <= 0) {
+      return Promise.reject(new BrokerOptionsError(`Invalid max number of entries '${max}'. It must be a positive integer.`));
+    }
+    const target = partition == null ? this._allPartitions()[0] : this.partitions[partition];
+    if (!target) {
+      return Promise.reject(new BrokerOptionsError(`Unknown partition '${partition}'.`));
+    }
+
+    this.logger.info(`Resizing the ${partition == null ? 'cache' : `partition '${partition}'`} to ${max} entries.`);
+    if (partition == null) {
+      this.opts.max = max;
+    } else {
+      this.opts.partitions[partition].max = max;
+    }
+
+    return target.client.resize(max)
+      .then(res => {
+        this._updateStats(res, target.name);
+        this._onEvicted(res.evicted);
+        if (propagate) return this._publishInvalidation({ resize: { max, partition } }).then(() => res);
+        return res;
+      })
+      .then(res => res.evicted.map(key => this._cacheKey(key)));
+  }
+
+  /**
+	 * Get the number of entries and the total size in bytes of the cache and
+	 * of every partition, read from Redis.
+	 *
+	 * @returns {Promise<Object>} `{ count, bytes, partitions }`, the partitions as `{ name, count, bytes }`
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  stats () {
+    return Promise.all(this._allPartitions().map(partition => Promise
+      .all([partition.client.count(), partition.client.bytes()])
+      .then(([count, bytes]) => ({ name: partition.name, count, bytes }))))
+      .then(partitions => ({ count: _.sumBy(partitions, 'count'), bytes: _.sumBy(partitions, 'bytes'), partitions }));
+  }
+
+  /**
+	 * Return all cache keys with available properties (see `scan`), or a page
+	 * of them if a cursor is given. Like with ZSCAN, a page may be empty
+	 * before the last one, and an entry may be given on more than one page.
+	 *
+	 * @param {Object} opts Optional pagination
+	 * @param {String} opts.cursor Cursor of the page, `'0'` for the first one
+	 * @param {Number} opts.count Number of index entries scanned per page. Default is `1000`
+	 * @returns Promise<Array<Object>|Object> The entries, or the page as `{ cursor, keys }`
+	 *   with the cursor of the next page, `'0'` after the last one
+	 */
+  async getCacheKeys ({ cursor, count = KEYS_BATCH_SIZE } = {}) {
+    if (cursor == null) {
+      const res = [];
+      for await (const entry of this.scan({ count })) {
+        res.push(entry);
+      }
+      return res;
+    }
+
+    const batch = await this._scanBatch(String(cursor), [this.prefix + '**'], count);
+    return { cursor: batch.cursor, keys: batch.entries };
+  }
+
+  /**
+	 * Export the entries matching the patterns as JSON lines of
+	 * `{ key, value, ttl, score, tags, hits, lastUsed }`, with the stored value
+	 * encoded in base64 and the remaining `ttl` in seconds (`null` without
+	 * expiry). The snapshot can be restored with `import` by a cacher with the
+	 * same serializer and eviction policy.
+	 *
+	 * @param {Object} opts
+	 * @param {String|Array<String>} opts.match Match string for the keys. Default is "**"
+	 * @returns {Readable}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  export ({ match = '**' } = {}) {
+    return Readable.from(this._exportLines(match), { objectMode: false });
+  }
+
+  /**
+	 * Generate the lines of `export`.
+	 *
+	 * @param {String|Array<String>} match
+	 * @returns {AsyncIterator<String>}
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  async * _exportLines (match) {
+    const patterns = (Array.isArray(match) ? match : [match]).map(match => this.prefix + match);
+
+    for (const partition of this._allPartitions()) {
+      let cursor = '0';
+      do {
+        const batch = await partition.client.scan(cursor, patterns, SNAPSHOT_BATCH_SIZE);
+        cursor = batch.cursor;
+
+        const entries = await partition.client.dump(batch.keys);
+        for (const { key, value, ttl, score, tags, hits, lastUsed } of entries) {
+          // expired while exporting
+          if (ttl === -2) continue;
+
+          yield JSON.stringify({
+            key: this._cacheKey(key),
+            value: value.toString('base64'),
+            ttl: ttl >= 0 ? ttl / 1000 : null,
+            score,
+            tags: tags ? tags.map(tag => this._cacheKey(tag)) : null,
+            hits,
+            lastUsed
+          }) + '\n';
+        }
+      } while (cursor !== '0');
+    }
+  }
+
+  /**
+	 * Import the entries of a snapshot created by `export`, keeping their
+	 * scores, so the recency order of the snapshot is preserved. The entries
+	 * exceeding the limits of the cache are evicted by score, the expired ones
+	 * are skipped.
+	 *
+	 * @param {Readable} stream JSON lines
+	 * @returns {Promise<Number>} Number of imported entries
+	 *
+	 * @memberof RedisLRUCacher
+	 */
+  async import (stream) {
+    const batches = new Map();
+    let imported = 0;
+    let lineNumber = 0;
+
+    const restore = async ({ partition, entries }) => {
+      batches.delete(partition.name);
+      const res = await partition.client.restore(entries);
+      this._updateStats(res, partition.name);
+      this._onEvicted(res.evicted);
+
+      const keys = entries.map(({ key }) => key);
+      this._localDel(keys);
+      await this._publishWrite(keys);
+      imported += entries.length;
+    };
+
+    for await (const line of readline.createInterface({ input: stream, crlfDelay: Infinity })) {
+      lineNumber++;
+      if (line.trim() === '') continue;
+
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        throw new Error(`Invalid cache snapshot at line ${lineNumber}: ${err.message}`);
+      }
+
+      // the TTL in seconds may not give back an integer number of milliseconds
+      const maxAge = entry.ttl != null ? Math.round(entry.ttl * 1000) : null;
+      // expired since the export
+      if (maxAge != null && maxAge <= 0) continue;
+
+      const partition = this._partition(entry.key);
+      const batch = batches.get(partition.name) || { partition, entries: [] };
+      batches.set(partition.name, batch);
+      batch.entries.push({
+        key: this.prefix + entry.key,
+        value: Buffer.from(entry.value, 'base64'),
+        maxAge,
+        score: entry.score,
+        tags: this._prefixTags(entry.tags),
+        hits: entry.hits,
+        lastUsed: entry.lastUsed
+      });
+
+      if (batch.entries.length >= SNAPSHOT_BATCH_SIZE) await restore(batch);
+    }
+
+    for (const batch of Array.from(batches.values())) {
+      await restore(batch);
+    }
+
+    this.logger.info(`Imported ${imported} cache entries.`);
+    return imported;
   }
 }
 
+RedisLRUCacher.AdminService = require('./src/admin');
+
 module.exports = RedisLRUCacher;
@@ -0,0 +1,123 @@
+'use strict';
+
+const { MoleculerClientError } = require('moleculer/src/errors');
+
+const KEYS_PARAM = [{ type: 'string' }, { type: 'array', items: 'string' }];
+
+/**
+ * Service to inspect and manage the cache of the broker through the REPL or
+ * an API gateway. It can be created as is, or used as a mixin to rename it
+ * or restrict its actions.
+ *
+ *   broker.createService(RedisLRUCacher.AdminService);
+ *
+ * The actions are backed by the methods of the cacher of the broker, which
+ * should be a `RedisLRUCacher`.
+ */
+module.exports = {
+  name: '$cache-admin',
+
+  actions: {
+    /**
+     * Number of entries and total size of the cache and of its partitions.
+     */
+    stats: {
+      handler () {
+        return this.callCacher('stats');
+      }
+    },
+
+    /**
+     * Keys with their properties, see `RedisLRUCacher.getCacheKeys`. Page by
+     * page if a cursor is given, `'0'` for the first page.
+     */
+    keys: {
+      params: {
+        cursor: { type: 'string', optional: true },
+        count: { type: 'number', integer: true, positive: true, optional: true, convert: true }
+      },
+      handler (ctx) {
+        return this.callCacher('getCacheKeys', { cursor: ctx.params.cursor, count: ctx.params.count });
+      }
+    },
+
+    /**
+     * Data of a key, updating its recency like any read.
+     */
+    get: {
+      params: {
+        key: { type: 'string' }
+      },
+      handler (ctx) {
+        return this.callCacher('get', ctx.params.key);
+      }
+    },
+
+    /**
+     * Data of a key, without updating its recency.
+     */
+    peek: {
+      params: {
+        key: { type: 'string' }
+      },
+      handler (ctx) {
+        return this.callCacher('peek', ctx.params.key);
+      }
+    },
+
+    del: {
+      params: {
+        key: KEYS_PARAM
+      },
+      handler (ctx) {
+        return this.callCacher('del', ctx.params.key).then(() => null);
+      }
+    },
+
+    /**
+     * Remove the keys matching the patterns, every key by default. Resolves
+     * with the number of removed entries.
+     */
+    clean: {
+      params: {
+        match: { type: 'multi', rules: KEYS_PARAM, optional: true }
+      },
+      handler (ctx) {
+        return this.callCacher('clean', ctx.params.match || '**');
+      }
+    },
+
+    /**
+     * Change the max number of entries of the cache, or of a partition, on
+     * this node or on every node. Resolves with the evicted keys.
+     */
+    resize: {
+      params: {
+        max: { type: 'number', integer: true, positive: true, convert: true },
+        partition: { type: 'string', optional: true },
+        propagate: { type: 'boolean', optional: true, convert: true }
+      },
+      handler (ctx) {
+        return this.callCacher('resize', ctx.params.max, { partition: ctx.params.partition, propagate: ctx.params.propagate });
+      }
+    }
+  },
+
+  methods: {
+    /**
+     * Call a method of the cacher of the broker.
+     *
+     * @param {String} method
+     * @param {...any} args
+     * @returns {Promise}
+     */
+    callCacher (method, ...args) {
+      const cacher = this.broker.cacher;
+      if (!cacher || typeof cacher[method] !== 'function') {
+        return Promise.reject(new MoleculerClientError(`The cacher of the broker doesn't support '${method}'.`, 501, 'CACHER_NOT_SUPPORTED', { method }));
+      }
+
+      return Promise.resolve(cacher[method](...args));
+    }
+  }
+};
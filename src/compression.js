@@ -0,0 +1,82 @@
+'use strict';
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { BrokerOptionsError } = require('moleculer/src/errors');
+
+/**
+ * Header of the compressed values, followed by the id of the algorithm.
+ * Serialized values never start with a NUL byte followed by `LZ`, so
+ * compressed and uncompressed values can coexist.
+ */
+const MARKER = Buffer.from('\u0000LZ');
+
+const ALGORITHMS = {
+  gzip: { id: 'g', compress: promisify(zlib.gzip), decompress: promisify(zlib.gunzip) },
+  deflate: { id: 'd', compress: promisify(zlib.deflate), decompress: promisify(zlib.inflate) },
+  brotli: { id: 'b', compress: promisify(zlib.brotliCompress), decompress: promisify(zlib.brotliDecompress) }
+};
+
+/**
+ * Create a compressor of the serialized values.
+ *
+ * @param {String|Object} opts Algorithm name or options
+ * @param {String?} opts.type One of `gzip`, `deflate` or `brotli`. Default is `gzip`
+ * @param {Number?} opts.threshold Min size in bytes of the compressed values. Default is `1024`
+ * @returns {Object}
+ */
+function createCompressor (opts) {
+  if (typeof opts === 'string') opts = { type: opts };
+  opts = Object.assign({ type: 'gzip', threshold: 1024 }, opts);
+
+  const algorithm = ALGORITHMS[opts.type];
+  if (!algorithm) {
+    throw new BrokerOptionsError(`Invalid compression type '${opts.type}'. Valid values: ${Object.keys(ALGORITHMS).join(', ')}.`);
+  }
+  const header = Buffer.concat([MARKER, Buffer.from(algorithm.id)]);
+
+  /*
+  * Compress the value if it reaches the threshold. Resolves with the value
+  * to store and the number of bytes saved. Values which don't shrink are
+  * stored uncompressed.
+  */
+  const compress = value => {
+    const buf = Buffer.isBuffer(value) ? value : Buffer.from(value);
+    if (buf.length < opts.threshold) return Promise.resolve({ value, saved: 0 });
+
+    return algorithm.compress(buf).then(compressed => {
+      const saved = buf.length - compressed.length - header.length;
+      if (saved <= 0) return { value, saved: 0 };
+
+      return { value: Buffer.concat([header, compressed]), saved };
+    });
+  };
+
+  return {
+    compress
+  };
+}
+
+/**
+ * Decompress the value if it has the header, with the algorithm it was
+ * compressed with. Uncompressed values are given back as is.
+ *
+ * @param {Buffer} buf
+ * @returns {Promise<Buffer>}
+ */
+function decompress (buf) {
+  if (!Buffer.isBuffer(buf) || buf.length <= MARKER.length || !buf.slice(0, MARKER.length).equals(MARKER)) {
+    return Promise.resolve(buf);
+  }
+
+  const id = buf.toString('latin1', MARKER.length, MARKER.length + 1);
+  const name = Object.keys(ALGORITHMS).find(name => ALGORITHMS[name].id === id);
+  if (!name) return Promise.reject(new Error(`Unknown compression algorithm '${id}'.`));
+
+  return ALGORITHMS[name].decompress(buf.slice(MARKER.length + 1));
+}
+
+createCompressor.ALGORITHMS = Object.keys(ALGORITHMS);
+createCompressor.decompress = decompress;
+
+module.exports = createCompressor;
@@ -0,0 +1,316 @@
+'use strict';
+
+const { BrokerOptionsError } = require('moleculer/src/errors');
+const scripts = require('./scripts');
+const { globToLuaPattern } = require('./utils');
+
+const POLICIES = ['lru', 'lfu', 'lru-ttl'];
+// Number of index entries scanned by `clean` in a single script
+const CLEAN_BATCH_SIZE = 1000;
+
+/**
+ * Create an LRU cache stored in Redis. It keeps the storage layout of
+ * `redis-lru`, so the entries written by it stay readable, but every read
+ * and write runs in a Lua script, which lets the eviction policy decide
+ * the score of the entries.
+ *
+ * Values are stored as given (Buffer or string) and read back as Buffers,
+ * serializing them is up to the caller.
+ *
+ * @param {Redis|Redis.Cluster} client ioredis client
+ * @param {Object} opts
+ * @param {Number} opts.max Max number of entries
+ * @param {Number?} opts.maxBytes Max total size of the serialized values in bytes
+ * @param {String?} opts.namespace Prefix of the Redis keys
+ * @param {Number?} opts.maxAge Default Time-to-Live in milliseconds
+ * @param {String?} opts.evictionPolicy One of `lru`, `lfu` or `lru-ttl`
+ * @param {Boolean?} opts.hashTag Wrap the namespace in a hash tag, so every key of the cache
+ *   lands on the same slot of a Redis Cluster. Default is `true` for cluster clients
+ * @returns {Object}
+ */
+function buildCache (client, opts) {
+  if (!client) {
+    throw new Error('redis client is required.');
+  }
+
+  opts = Object.assign({
+    namespace: 'LRU-CACHE!',
+    evictionPolicy: 'lru'
+  }, opts);
+
+  if (!opts.max) {
+    throw new Error('max number of items in cache must be specified.');
+  }
+  if (POLICIES.indexOf(opts.evictionPolicy) === -1) {
+    throw new BrokerOptionsError(`Invalid eviction policy '${opts.evictionPolicy}'. Valid values: ${POLICIES.join(', ')}.`);
+  }
+  // options of `redis-lru`, the scores are computed by the scripts
+  if (opts.score != null || opts.increment != null) {
+    throw new BrokerOptionsError("The 'score' and 'increment' options are not supported. Use the 'evictionPolicy' option instead.");
+  }
+
+  Object.keys(scripts).forEach(name => client.defineCommand(name, scripts[name]));
+
+  // the scripts work on several keys, which must share a slot on Redis Cluster
+  const hashTag = opts.hashTag != null ? opts.hashTag : !!client.isCluster;
+  const namespace = hashTag ? `{${opts.namespace}}` : opts.namespace;
+
+  const INDEX_KEY = `${namespace}-i`;
+  const SIZES_KEY = `${namespace}-s`;
+  const BYTES_KEY = `${namespace}-b`;
+  const TAGS_KEY = `${namespace}-g`;
+  const META_KEY = `${namespace}-m`;
+  const KEY_PREFIX = `${namespace}-k-`;
+  // Keys passed to every script before the value keys
+  const STORAGE_KEYS = [INDEX_KEY, SIZES_KEY, BYTES_KEY, TAGS_KEY, META_KEY];
+
+  // `SET ... PX` only takes integers, the TTL computed from seconds may be a float
+  const toMilliseconds = maxAge => Math.ceil(maxAge || 0);
+
+  const namedKey = key => KEY_PREFIX + key;
+  const unnamedKey = member => member.slice(KEY_PREFIX.length);
+
+  /*
+  * Remove a set of keys from the cache, the index, the sizes and the tags, in a single
+  * script, to avoid orphan indexes or cache values.
+  */
+  const safeDelete = members => client
+    .lruDel(members.length + STORAGE_KEYS.length, ...STORAGE_KEYS, ...members)
+    .then(([removed, total, entries]) => ({ removed, bytes: total, count: entries }));
+
+  /*
+  * Get the values of the given keys as Buffers with their remaining
+  * Time-to-Live in milliseconds (with the semantics of the PTTL command),
+  * and update their scores. Missing keys resolve to a null value.
+  */
+  const getManyWithTTL = keys => {
+    if (keys.length === 0) return Promise.resolve([]);
+
+    return client
+      .lruGetManyBuffer(keys.length + STORAGE_KEYS.length, ...STORAGE_KEYS, ...keys.map(namedKey), opts.evictionPolicy, Date.now())
+      .then(entries => entries.map(([value, ttl]) => ({ value: value || null, ttl })));
+  };
+
+  const getWithTTL = key => getManyWithTTL([key]).then(([entry]) => entry);
+
+  /*
+  * Get the values of the given keys as Buffers and update their scores.
+  * Missing keys resolve to null.
+  */
+  const getMany = keys => getManyWithTTL(keys).then(entries => entries.map(({ value }) => value));
+
+  const get = key => getMany([key]).then(([value]) => value);
+
+  /*
+  * Save the given `{ key, value, maxAge, tags }` entries and evict the ones exceeding
+  * `max` or `maxBytes`. The `maxAge` is rounded up to the millisecond. Resolves with the keys of the evicted entries, the
+  * total size and the number of entries.
+  */
+  const setMany = entries => {
+    if (entries.length === 0) {
+      return Promise.all([bytes(), count()]).then(([total, entryCount]) => ({ evicted: [], bytes: total, count: entryCount }));
+    }
+
+    const args = [];
+    entries.forEach(({ value, maxAge, tags }) => args.push(
+      value,
+      toMilliseconds(maxAge || opts.maxAge),
+      tags && tags.length > 0 ? JSON.stringify(tags) : ''
+    ));
+
+    return client
+      .lruSetMany(
+        entries.length + STORAGE_KEYS.length,
+        ...STORAGE_KEYS,
+        ...entries.map(({ key }) => namedKey(key)),
+        opts.evictionPolicy,
+        Date.now(),
+        opts.max,
+        opts.maxBytes || 0,
+        ...args
+      )
+      .then(([evicted, total, entries]) => ({ evicted: evicted.map(unnamedKey), bytes: total, count: entries }));
+  };
+
+  const set = (key, value, maxAge, tags) => setMany([{ key, value, maxAge, tags }]);
+
+  /*
+  * Retrieve the value for key in the cache (if present) as a Buffer, without
+  * updating the score.
+  */
+  const peek = key => client.getBuffer(namedKey(key)).then(value => {
+    if (value === null) {
+      // value may have been expired, remove from the index
+      return safeDelete([namedKey(key)]).then(() => null);
+    }
+    return value;
+  });
+
+  const has = key => client.exists(namedKey(key)).then(res => res > 0);
+
+  /*
+  * Get the remaining Time-to-Live of the key in milliseconds, with the
+  * semantics of the PTTL command.
+  */
+  const pttl = key => client.pttl(namedKey(key));
+
+  const del = key => safeDelete([namedKey(key)]);
+
+  /*
+  * Scan a batch of the index for the keys matching one of the Moleculer
+  * wildcard patterns. Resolves with the next cursor (`'0'` when done) and the
+  * matching keys. A key may be given back more than once, like with ZSCAN.
+  */
+  const scan = (cursor, patterns, batchSize) => client
+    .lruScan(...STORAGE_KEYS, cursor, batchSize, KEY_PREFIX, ...patterns.map(globToLuaPattern))
+    .then(([next, members]) => ({ cursor: String(next), keys: members.map(unnamedKey) }));
+
+  /*
+  * Remove every entry whose key matches one of the Moleculer wildcard
+  * patterns, scanning the index batch by batch to not block Redis. Every
+  * batch is atomic, the whole clean is not. Resolves
+  * with the number of removed entries, the total size and the number of
+  * entries.
+  */
+  const clean = patterns => {
+    const luaPatterns = patterns.map(globToLuaPattern);
+    let removed = 0;
+
+    const cleanBatch = cursor => client
+      .lruClean(...STORAGE_KEYS, cursor, CLEAN_BATCH_SIZE, KEY_PREFIX, ...luaPatterns)
+      .then(([next, batchRemoved, total, entries]) => {
+        removed += batchRemoved;
+        if (String(next) !== '0') return cleanBatch(next);
+
+        return { removed, bytes: total, count: entries };
+      });
+
+    return cleanBatch('0');
+  };
+
+  const reset = () => clean(['**']);
+
+  /*
+  * Remove every entry with one of the given tags. Resolves with the keys of
+  * the removed entries, the total size and the number of entries.
+  */
+  const invalidateTags = tags => client
+    .lruInvalidateTags(...STORAGE_KEYS, ...tags)
+    .then(([removed, total, entries]) => ({ keys: removed.map(unnamedKey), bytes: total, count: entries }));
+
+  /*
+  * Return the keys in the order of the index, the first ones are the last
+  * to be evicted.
+  */
+  const keys = () => client.zrange(INDEX_KEY, 0, opts.max - 1).then(members => members.map(unnamedKey));
+
+  const count = () => client.zcard(INDEX_KEY);
+
+  /*
+  * Get the metadata of the given keys: the remaining Time-to-Live in
+  * milliseconds (with the semantics of the PTTL command), the size in bytes,
+  * the number of hits and the time of last use (`null` if unknown).
+  */
+  const inspect = keys => client
+    .lruInspect(keys.length + STORAGE_KEYS.length, ...STORAGE_KEYS, ...keys.map(namedKey))
+    .then(entries => entries.map(([member, ttl, size, hits, lastUsed]) => ({
+      key: unnamedKey(member),
+      ttl,
+      size,
+      hits,
+      lastUsed: lastUsed ? Number(lastUsed) : null
+    })));
+
+  /*
+  * Change the max number of entries and evict the entries exceeding it
+  * right away. Resolves with the keys of the evicted entries, the total size
+  * and the number of entries.
+  */
+  const resize = max => {
+    opts.max = max;
+    return client
+      .lruEvict(...STORAGE_KEYS, max, opts.maxBytes || 0)
+      .then(([evicted, total, entries]) => ({ evicted: evicted.map(unnamedKey), bytes: total, count: entries }));
+  };
+
+  /*
+  * Get the given entries with everything needed to restore them: the value
+  * as a Buffer, the remaining Time-to-Live in milliseconds (with the semantics
+  * of the PTTL command), the score, the tags, the number of hits and the time
+  * of last use. Missing entries are skipped.
+  */
+  const dump = keys => {
+    if (keys.length === 0) return Promise.resolve([]);
+
+    return client
+      .lruDumpBuffer(keys.length + STORAGE_KEYS.length, ...STORAGE_KEYS, ...keys.map(namedKey))
+      .then(entries => entries.map(([member, value, ttl, score, tags, hits, lastUsed]) => ({
+        key: unnamedKey(member.toString()),
+        value,
+        ttl,
+        score: score ? Number(score.toString()) : null,
+        tags: tags ? JSON.parse(tags.toString()) : null,
+        hits,
+        lastUsed: lastUsed ? Number(lastUsed.toString()) : null
+      })));
+  };
+
+  /*
+  * Restore the given `{ key, value, maxAge, score, tags, hits, lastUsed }`
+  * entries dumped by `dump`, with their scores, and evict the entries
+  * exceeding `max` or `maxBytes` by score. Resolves with the keys of the
+  * evicted entries, the total size and the number of entries.
+  */
+  const restore = entries => {
+    if (entries.length === 0) {
+      return Promise.all([bytes(), count()]).then(([total, entryCount]) => ({ evicted: [], bytes: total, count: entryCount }));
+    }
+
+    const args = [];
+    entries.forEach(({ value, maxAge, score, tags, hits, lastUsed }) => args.push(
+      value,
+      toMilliseconds(maxAge),
+      score || 0,
+      tags && tags.length > 0 ? JSON.stringify(tags) : '',
+      hits || 0,
+      lastUsed || ''
+    ));
+
+    return client
+      .lruRestore(entries.length + STORAGE_KEYS.length, ...STORAGE_KEYS, ...entries.map(({ key }) => namedKey(key)), opts.max, opts.maxBytes || 0, ...args)
+      .then(([evicted, total, entries]) => ({ evicted: evicted.map(unnamedKey), bytes: total, count: entries }));
+  };
+
+  /*
+  * Return the total size of the serialized values in bytes.
+  */
+  const bytes = () => client.get(BYTES_KEY).then(res => Number(res) || 0);
+
+  return {
+    get,
+    getMany,
+    getWithTTL,
+    getManyWithTTL,
+    set,
+    setMany,
+    peek,
+    has,
+    pttl,
+    del,
+    clean,
+    reset,
+    invalidateTags,
+    keys,
+    count,
+    scan,
+    inspect,
+    resize,
+    dump,
+    restore,
+    bytes
+  };
+}
+
+buildCache.POLICIES = POLICIES;
+
+module.exports = buildCache;
@@ -0,0 +1,14 @@
+'use strict';
+
+/**
+ * Metric names of the LRU cacher, in addition to the ones of Moleculer cachers.
+ */
+module.exports = {
+  MOLECULER_CACHER_SIZE_BYTES: 'moleculer.cacher.size.bytes',
+  MOLECULER_CACHER_ENTRIES_TOTAL: 'moleculer.cacher.entries.total',
+  MOLECULER_CACHER_EVICTED_TOTAL: 'moleculer.cacher.evicted.total',
+  MOLECULER_CACHER_COMPRESSION_SAVED_BYTES: 'moleculer.cacher.compression.saved.bytes',
+  MOLECULER_CACHER_CIRCUIT_OPEN: 'moleculer.cacher.circuit.open',
+  MOLECULER_CACHER_CIRCUIT_OPENED_TOTAL: 'moleculer.cacher.circuit.opened.total',
+  MOLECULER_CACHER_TIMEOUT_TOTAL: 'moleculer.cacher.timeout.total'
+};
@@ -0,0 +1,488 @@
+'use strict';
+
+/**
+ * Lua scripts working on the LRU storage layout:
+ *
+ *  - `<namespace>-i` sorted set, the index scoring every entry. The entries
+ *    with the lowest scores are kept, the ones with the highest are evicted.
+ *  - `<namespace>-k-<key>` string, the serialized value of an entry
+ *  - `<namespace>-s` hash, the size in bytes of every value
+ *  - `<namespace>-b` string, the total size in bytes of the values
+ *  - `<namespace>-g` hash, the JSON encoded tags of every tagged entry
+ *  - `<namespace>-t-<tag>` set, the value keys of the entries with the tag
+ *  - `<namespace>-m` hash, the number of hits (`h:<key>`) and the time of
+ *    last use (`u:<key>`) of every entry, and the cursor of the sweep of the
+ *    expired tagged entries (`sweep`)
+ *
+ * On Redis Cluster the namespace is wrapped in a hash tag (`{<namespace>}`),
+ * so every key of a cache lands on the same slot.
+ *
+ * Every script gets the index, the sizes, the total size, the tags and the
+ * metadata as KEYS[1..5].
+ * They are registered on the ioredis client with `defineCommand` under
+ * their property name.
+ */
+
+/**
+ * Helpers shared by every script to keep the index, the sizes and the tags
+ * in sync with the values.
+ */
+const STORAGE = `
+  local INDEX, SIZES, BYTES, TAGS, META = KEYS[1], KEYS[2], KEYS[3], KEYS[4], KEYS[5]
+  -- tag sets are named after the tags hash, '<namespace>-g' gives '<namespace>-t-'
+  local TAG_PREFIX = string.sub(TAGS, 1, -2) .. 't-'
+
+  local function num (n)
+    return string.format('%.0f', n)
+  end
+
+  local function bytes ()
+    return tonumber(redis.call('GET', BYTES) or '0')
+  end
+
+  local function count ()
+    return redis.call('ZCARD', INDEX)
+  end
+
+  local function resize (member, size)
+    local previous = tonumber(redis.call('HGET', SIZES, member) or '0')
+    if size > 0 then
+      redis.call('HSET', SIZES, member, size)
+    elseif previous > 0 then
+      redis.call('HDEL', SIZES, member)
+    end
+    if size ~= previous then
+      redis.call('INCRBY', BYTES, size - previous)
+    end
+  end
+
+  local function untag (member)
+    local tags = redis.call('HGET', TAGS, member)
+    if tags then
+      for _, tag in ipairs(cjson.decode(tags)) do
+        redis.call('SREM', TAG_PREFIX .. tag, member)
+      end
+      redis.call('HDEL', TAGS, member)
+    end
+  end
+
+  local function tag (member, tags)
+    untag(member)
+    if tags ~= '' then
+      for _, tag in ipairs(cjson.decode(tags)) do
+        redis.call('SADD', TAG_PREFIX .. tag, member)
+      end
+      redis.call('HSET', TAGS, member, tags)
+    end
+  end
+
+  local function remove (member)
+    redis.call('DEL', member)
+    redis.call('ZREM', INDEX, member)
+    resize(member, 0)
+    untag(member)
+    redis.call('HDEL', META, 'h:' .. member, 'u:' .. member)
+  end
+
+  -- remove a batch of the tagged entries which expired without being read,
+  -- the sweep goes on from where the previous one stopped
+  local function sweep ()
+    local res = redis.call('HSCAN', TAGS, redis.call('HGET', META, 'sweep') or '0', 'COUNT', 100)
+    -- members and tags are interleaved
+    for i = 1, #res[2], 2 do
+      if redis.call('EXISTS', res[2][i]) == 0 then
+        remove(res[2][i])
+      end
+    end
+    if res[1] == '0' then
+      redis.call('HDEL', META, 'sweep')
+    else
+      redis.call('HSET', META, 'sweep', res[1])
+    end
+  end
+`;
+
+/**
+ * Score helpers shared by the scripts reading and writing entries, which
+ * also keep the metadata of the entries. They expect the eviction policy in
+ * ARGV[1] and the current time in milliseconds in ARGV[2].
+ *
+ *  - `lru` scores by the negated time of last use
+ *  - `lfu` decrements the score on every use
+ *  - `lru-ttl` scores entries with expiry by their negated expiry time,
+ *    and keeps the persistent ones below them, scored by last use
+ */
+const POLICY = `
+  local policy = ARGV[1]
+  local now = tonumber(ARGV[2])
+  -- keeps the persistent entries of 'lru-ttl' below every expiring one
+  local PERSISTENT_OFFSET = 1e15
+
+  local function add (key, ttl)
+    redis.call('HDEL', META, 'h:' .. key)
+    redis.call('HSET', META, 'u:' .. key, num(now))
+    if policy == 'lfu' then
+      redis.call('ZADD', INDEX, 'INCR', -1, key)
+    elseif policy == 'lru-ttl' and ttl > 0 then
+      redis.call('ZADD', INDEX, num(-(now + ttl)), key)
+    elseif policy == 'lru-ttl' then
+      redis.call('ZADD', INDEX, num(-(PERSISTENT_OFFSET + now)), key)
+    else
+      redis.call('ZADD', INDEX, num(-now), key)
+    end
+  end
+
+  local function touch (key)
+    redis.call('HINCRBY', META, 'h:' .. key, 1)
+    redis.call('HSET', META, 'u:' .. key, num(now))
+    if policy == 'lfu' then
+      redis.call('ZADD', INDEX, 'XX', 'INCR', -1, key)
+    elseif policy == 'lru-ttl' then
+      -- the score of expiring entries does not depend on their use
+      if redis.call('PTTL', key) < 0 then
+        redis.call('ZADD', INDEX, 'XX', num(-(PERSISTENT_OFFSET + now)), key)
+      end
+    else
+      redis.call('ZADD', INDEX, 'XX', num(-now), key)
+    end
+  end
+`;
+
+/**
+ * Eviction helper shared by the scripts writing entries. It sweeps the
+ * expired tagged entries, then removes the entries with the highest scores
+ * until the cache fits into `max` entries and `maxBytes` bytes (`0` for no
+ * limit), sparing the `protected` ones (just written) as long as possible.
+ */
+const EVICT = `
+  local function evict (max, maxBytes, protected)
+    sweep()
+    local evicted = {}
+    local entries = count()
+    local total = bytes()
+
+    local function full ()
+      return entries > max or (maxBytes > 0 and total > maxBytes)
+    end
+
+    -- first pass spares the protected entries, second pass does not
+    for pass = 1, 2 do
+      local skipped = 0
+      while full() do
+        local candidates = redis.call('ZREVRANGE', INDEX, skipped, skipped + 99)
+        if #candidates == 0 then
+          break
+        end
+        for _, member in ipairs(candidates) do
+          if not full() then
+            break
+          end
+          if pass == 2 or not protected[member] then
+            total = total - tonumber(redis.call('HGET', SIZES, member) or '0')
+            entries = entries - 1
+            remove(member)
+            table.insert(evicted, member)
+          else
+            skipped = skipped + 1
+          end
+        end
+      end
+    end
+    return evicted
+  end
+`;
+
+/**
+ * Helper scanning a batch of the index for the value keys matching
+ * patterns. It expects the cursor in ARGV[1], the batch size in ARGV[2], the
+ * prefix of the value keys in ARGV[3] and the anchored Lua patterns of the
+ * keys in ARGV[4..n].
+ */
+const SCAN = `
+  local function scan ()
+    local res = redis.call('ZSCAN', INDEX, ARGV[1], 'COUNT', ARGV[2])
+    local prefixLength = #ARGV[3]
+    local matches = {}
+    -- members and scores are interleaved
+    for i = 1, #res[2], 2 do
+      local member = res[2][i]
+      if string.sub(member, 1, prefixLength) == ARGV[3] then
+        local key = string.sub(member, prefixLength + 1)
+        for j = 4, #ARGV do
+          if string.find(key, ARGV[j]) then
+            table.insert(matches, member)
+            break
+          end
+        end
+      end
+    end
+    return res[1], matches
+  end
+`;
+
+module.exports = {
+  /**
+   * Remove the entries of a batch of the index whose key matches one of the
+   * given patterns, and sweep the expired tagged entries.
+   *
+   * ARGV[1] - cursor
+   * ARGV[2] - number of index entries to scan
+   * ARGV[3] - prefix of the value keys (`<namespace>-k-`)
+   * ARGV[4..n] - anchored Lua patterns of the keys
+   *
+   * Returns the next cursor (`0` when done), the number of removed entries,
+   * the total size and the number of entries.
+   */
+  lruClean: {
+    numberOfKeys: 5,
+    lua: STORAGE + SCAN + `
+      sweep()
+      local cursor, members = scan()
+      for _, member in ipairs(members) do
+        remove(member)
+      end
+      return { cursor, #members, bytes(), count() }
+    `
+  },
+
+  /**
+   * Remove entries.
+   *
+   * KEYS[6..n] - value keys
+   *
+   * Returns the number of removed entries, the total size and the number
+   * of entries.
+   */
+  lruDel: {
+    lua: STORAGE + `
+      local removed = 0
+      for i = 6, #KEYS do
+        if redis.call('ZSCORE', INDEX, KEYS[i]) or redis.call('EXISTS', KEYS[i]) == 1 then
+          removed = removed + 1
+        end
+        remove(KEYS[i])
+      end
+      return { removed, bytes(), count() }
+    `
+  },
+
+  /**
+   * Get the values of several entries and update their scores.
+   *
+   * KEYS[6..n] - value keys
+   * ARGV[1] - eviction policy
+   * ARGV[2] - current time in milliseconds
+   *
+   * Returns the value (`nil` for missing entries) and the remaining TTL in
+   * milliseconds (PTTL semantics) of each entry, in the order of the keys.
+   */
+  lruGetMany: {
+    lua: STORAGE + POLICY + `
+      local entries = {}
+      for i = 6, #KEYS do
+        local value = redis.call('GET', KEYS[i])
+        local ttl = -2
+        if value then
+          touch(KEYS[i])
+          ttl = redis.call('PTTL', KEYS[i])
+        else
+          -- value has been expired, remove from the index
+          remove(KEYS[i])
+        end
+        entries[i - 5] = { value, ttl }
+      end
+      return entries
+    `
+  },
+
+  /**
+   * Save several entries, update their scores and evict the entries
+   * exceeding the limits of the cache once, after every entry is saved.
+   *
+   * KEYS[6..n] - value keys
+   * ARGV[1] - eviction policy
+   * ARGV[2] - current time in milliseconds
+   * ARGV[3] - max number of entries
+   * ARGV[4] - max total size in bytes, `0` for no limit
+   * ARGV[5..] - value, TTL in milliseconds (`0` for no expiry) and JSON encoded
+   *   tags (empty string for no tags) of each entry
+   *
+   * Returns the evicted value keys, the total size and the number of entries.
+   */
+  lruSetMany: {
+    lua: STORAGE + POLICY + EVICT + `
+      local protected = {}
+      for i = 6, #KEYS do
+        local arg = (i - 6) * 3 + 5
+        local ttl = tonumber(ARGV[arg + 1])
+        if ttl > 0 then
+          redis.call('SET', KEYS[i], ARGV[arg], 'PX', ttl)
+        else
+          redis.call('SET', KEYS[i], ARGV[arg])
+        end
+        resize(KEYS[i], #ARGV[arg])
+        tag(KEYS[i], ARGV[arg + 2])
+        add(KEYS[i], ttl)
+        protected[KEYS[i]] = true
+      end
+      local evicted = evict(tonumber(ARGV[3]), tonumber(ARGV[4]), protected)
+      return { evicted, bytes(), count() }
+    `
+  },
+
+  /**
+   * Remove every entry with one of the given tags.
+   *
+   * ARGV[1..n] - tags
+   *
+   * Returns the removed value keys, the total size and the number of entries.
+   * The expired entries are removed too, but not returned.
+   */
+  lruInvalidateTags: {
+    numberOfKeys: 5,
+    lua: STORAGE + `
+      local removed = {}
+      for i = 1, #ARGV do
+        for _, member in ipairs(redis.call('SMEMBERS', TAG_PREFIX .. ARGV[i])) do
+          if redis.call('EXISTS', member) == 1 then
+            table.insert(removed, member)
+          end
+          remove(member)
+        end
+      end
+      return { removed, bytes(), count() }
+    `
+  },
+
+  /**
+   * Scan a batch of the index for the entries whose key matches one of the
+   * given patterns. An entry may be returned more than once, like with ZSCAN.
+   *
+   * ARGV[1] - cursor
+   * ARGV[2] - number of index entries to scan
+   * ARGV[3] - prefix of the value keys (`<namespace>-k-`)
+   * ARGV[4..n] - anchored Lua patterns of the keys
+   *
+   * Returns the next cursor (`0` when done) and the matching value keys.
+   */
+  lruScan: {
+    numberOfKeys: 5,
+    lua: STORAGE + SCAN + `
+      local cursor, members = scan()
+      return { cursor, members }
+    `
+  },
+
+  /**
+   * Get the metadata of entries.
+   *
+   * KEYS[6..n] - value keys
+   *
+   * Returns the value key, the remaining TTL in milliseconds (PTTL
+   * semantics), the size in bytes, the number of hits and the time of last
+   * use (`nil` if unknown) of each entry.
+   */
+  lruInspect: {
+    lua: STORAGE + `
+      local entries = {}
+      for i = 6, #KEYS do
+        local member = KEYS[i]
+        table.insert(entries, {
+          member,
+          redis.call('PTTL', member),
+          tonumber(redis.call('HGET', SIZES, member) or '0'),
+          tonumber(redis.call('HGET', META, 'h:' .. member) or '0'),
+          redis.call('HGET', META, 'u:' .. member)
+        })
+      end
+      return entries
+    `
+  },
+
+  /**
+   * Evict the entries exceeding the limits of the cache, after they changed.
+   *
+   * ARGV[1] - max number of entries
+   * ARGV[2] - max total size in bytes, `0` for no limit
+   *
+   * Returns the evicted value keys, the total size and the number of entries.
+   */
+  lruEvict: {
+    numberOfKeys: 5,
+    lua: STORAGE + EVICT + `
+      local evicted = evict(tonumber(ARGV[1]), tonumber(ARGV[2]), {})
+      return { evicted, bytes(), count() }
+    `
+  },
+
+  /**
+   * Get the values of entries with everything needed to restore them.
+   *
+   * KEYS[6..n] - value keys
+   *
+   * Returns the value key, the value, the remaining TTL in milliseconds
+   * (PTTL semantics), the score, the JSON encoded tags (`nil` for no tags),
+   * the number of hits and the time of last use (`nil` if unknown) of each
+   * entry. Missing entries are skipped.
+   */
+  lruDump: {
+    lua: STORAGE + `
+      local entries = {}
+      for i = 6, #KEYS do
+        local member = KEYS[i]
+        local value = redis.call('GET', member)
+        if value then
+          table.insert(entries, {
+            member,
+            value,
+            redis.call('PTTL', member),
+            redis.call('ZSCORE', INDEX, member),
+            redis.call('HGET', TAGS, member),
+            tonumber(redis.call('HGET', META, 'h:' .. member) or '0'),
+            redis.call('HGET', META, 'u:' .. member)
+          })
+        end
+      end
+      return entries
+    `
+  },
+
+  /**
+   * Restore entries with their scores, then evict the entries exceeding the
+   * limits of the cache by score only.
+   *
+   * KEYS[6..n] - value keys
+   * ARGV[1] - max number of entries
+   * ARGV[2] - max total size in bytes, `0` for no limit
+   * ARGV[3..] - value, TTL in milliseconds (`0` for no expiry), score, JSON
+   *   encoded tags (empty string for no tags), number of hits and time of last
+   *   use (empty string if unknown) of each entry
+   *
+   * Returns the evicted value keys, the total size and the number of entries.
+   */
+  lruRestore: {
+    lua: STORAGE + EVICT + `
+      for i = 6, #KEYS do
+        local arg = (i - 6) * 6 + 3
+        local ttl = tonumber(ARGV[arg + 1])
+        if ttl > 0 then
+          redis.call('SET', KEYS[i], ARGV[arg], 'PX', ttl)
+        else
+          redis.call('SET', KEYS[i], ARGV[arg])
+        end
+        resize(KEYS[i], #ARGV[arg])
+        tag(KEYS[i], ARGV[arg + 3])
+        redis.call('ZADD', INDEX, ARGV[arg + 2], KEYS[i])
+        redis.call('HDEL', META, 'h:' .. KEYS[i], 'u:' .. KEYS[i])
+        if tonumber(ARGV[arg + 4]) > 0 then
+          redis.call('HSET', META, 'h:' .. KEYS[i], ARGV[arg + 4])
+        end
+        if ARGV[arg + 5] ~= '' then
+          redis.call('HSET', META, 'u:' .. KEYS[i], ARGV[arg + 5])
+        end
+      end
+      local evicted = evict(tonumber(ARGV[1]), tonumber(ARGV[2]), {})
+      return { evicted, bytes(), count() }
+    `
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+/**
+ * Convert a Moleculer wildcard pattern (see `utils.match`) to an anchored
+ * Lua pattern, so keys can be matched inside Redis scripts.
+ *
+ *  - `**` matches any characters
+ *  - `*` matches any characters except `.`
+ *  - `?` matches exactly one character
+ *
+ * @param {String} pattern
+ * @returns {String}
+ */
+function globToLuaPattern (pattern) {
+  const escape = part => part.replace(/[\^$()%.[\]+\-?]/g, c => c === '?' ? '.' : '%' + c);
+
+  return '^' + pattern
+    .split('**')
+    .map(part => part.split('*').map(escape).join('[^.]*'))
+    .join('.*') + '$';
+}
+
+module.exports = {
+  globToLuaPattern
+};
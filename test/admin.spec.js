@@ -0,0 +1,97 @@
+const ServiceBroker = require('moleculer/src/service-broker');
+const AdminService = require('../src/admin');
+const RedisLRUCacher = require('../');
+
+describe('Test cache admin service', () => {
+  const broker = new ServiceBroker({ logger: false });
+  const cacher = {
+    stats: jest.fn(() => Promise.resolve({ count: 2, bytes: 40, partitions: [{ name: null, count: 2, bytes: 40 }] })),
+    getCacheKeys: jest.fn(() => Promise.resolve([{ key: 'posts.get:1', ttl: null, lastUsed: 900, size: 20, hits: 1 }])),
+    get: jest.fn(() => Promise.resolve({ id: 1 })),
+    peek: jest.fn(() => Promise.resolve({ id: 1 })),
+    del: jest.fn(() => Promise.resolve([{ removed: 1 }])),
+    clean: jest.fn(() => Promise.resolve(3)),
+    resize: jest.fn(() => Promise.resolve())
+  };
+
+  beforeAll(() => {
+    broker.cacher = cacher;
+    broker.createService(AdminService);
+    return broker.start();
+  });
+
+  afterAll(() => broker.stop());
+
+  it('should be exported by the cacher', () => {
+    expect(RedisLRUCacher.AdminService).toBe(AdminService);
+  });
+
+  it('should give back the stats', () => {
+    return broker.call('$cache-admin.stats').then(res => {
+      expect(res).toEqual({ count: 2, bytes: 40, partitions: [{ name: null, count: 2, bytes: 40 }] });
+    });
+  });
+
+  it('should list the keys page by page', () => {
+    return broker.call('$cache-admin.keys', { cursor: '0:12', count: '5' }).then(res => {
+      expect(res).toHaveLength(1);
+      expect(cacher.getCacheKeys).toHaveBeenCalledWith({ cursor: '0:12', count: 5 });
+    });
+  });
+
+  it('should get and peek a key', () => {
+    return Promise.all([
+      broker.call('$cache-admin.get', { key: 'posts.get:1' }),
+      broker.call('$cache-admin.peek', { key: 'posts.get:1' })
+    ]).then(res => {
+      expect(res).toEqual([{ id: 1 }, { id: 1 }]);
+      expect(cacher.get).toHaveBeenCalledWith('posts.get:1');
+      expect(cacher.peek).toHaveBeenCalledWith('posts.get:1');
+    });
+  });
+
+  it('should delete keys', () => {
+    return broker.call('$cache-admin.del', { key: ['posts.get:1', 'posts.get:2'] }).then(res => {
+      expect(res).toBeNull();
+      expect(cacher.del).toHaveBeenCalledWith(['posts.get:1', 'posts.get:2']);
+    });
+  });
+
+  it('should clean every key by default', () => {
+    return Promise.all([
+      broker.call('$cache-admin.clean'),
+      broker.call('$cache-admin.clean', { match: 'posts.**' })
+    ]).then(res => {
+      expect(res).toEqual([3, 3]);
+      expect(cacher.clean).toHaveBeenNthCalledWith(1, '**');
+      expect(cacher.clean).toHaveBeenNthCalledWith(2, 'posts.**');
+    });
+  });
+
+  it('should resize the cache', () => {
+    return broker.call('$cache-admin.resize', { max: '500', propagate: 'true' }).then(() => {
+      expect(cacher.resize).toHaveBeenCalledWith(500, { partition: undefined, propagate: true });
+    });
+  });
+
+  it('should validate the params', () => {
+    return broker.call('$cache-admin.resize', { max: -1 }).then(() => {
+      throw new Error('should have failed');
+    }, err => {
+      expect(err.name).toBe('ValidationError');
+      expect(cacher.resize).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should reject the methods not supported by the cacher', () => {
+    broker.cacher = { get: jest.fn() };
+    return broker.call('$cache-admin.peek', { key: 'posts.get:1' }).then(() => {
+      throw new Error('should have failed');
+    }, err => {
+      expect(err.code).toBe(501);
+      expect(err.type).toBe('CACHER_NOT_SUPPORTED');
+    }).finally(() => {
+      broker.cacher = cacher;
+    });
+  });
+});
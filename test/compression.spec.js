@@ -0,0 +1,47 @@
+const createCompressor = require('../src/compression');
+const { BrokerOptionsError } = require('moleculer/src/errors');
+
+const large = Buffer.from(JSON.stringify({ items: new Array(200).fill('lorem ipsum dolor sit amet') }));
+
+describe('Test compressor', () => {
+  it('should throw with invalid compression type', () => {
+    expect(() => createCompressor('lz4')).toThrowError(BrokerOptionsError);
+  });
+
+  createCompressor.ALGORITHMS.forEach(type => {
+    it(`should compress and decompress with ${type}`, () => {
+      const compressor = createCompressor({ type, threshold: 100 });
+      return compressor.compress(large).then(({ value, saved }) => {
+        expect(value.length).toBeLessThan(large.length);
+        expect(saved).toBe(large.length - value.length);
+        return createCompressor.decompress(value).then(buf => expect(buf).toEqual(large));
+      });
+    });
+  });
+
+  it('should not compress values below the threshold', () => {
+    const compressor = createCompressor({ type: 'gzip', threshold: large.length + 1 });
+    return compressor.compress(large).then(res => {
+      expect(res).toEqual({ value: large, saved: 0 });
+    });
+  });
+
+  it('should not compress values which do not shrink', () => {
+    const compressor = createCompressor({ threshold: 0 });
+    const value = Buffer.from('{}');
+    return compressor.compress(value).then(res => {
+      expect(res).toEqual({ value, saved: 0 });
+    });
+  });
+
+  it('should give back uncompressed values as is', () => {
+    return createCompressor.decompress(large).then(buf => expect(buf).toBe(large));
+  });
+
+  it('should reject values with unknown algorithm', () => {
+    return createCompressor.decompress(Buffer.from('\u0000LZxabc')).then(
+      () => expect(true).toBe(false),
+      err => expect(err.message).toBe("Unknown compression algorithm 'x'.")
+    );
+  });
+});
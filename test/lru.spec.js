@@ -0,0 +1,373 @@
+const LRU = require('../src/lru');
+const scripts = require('../src/scripts');
+const { BrokerOptionsError } = require('moleculer/src/errors');
+
+const createClient = () => {
+  return {
+    defineCommand: jest.fn(),
+    lruGetManyBuffer: jest.fn(() => Promise.resolve([[Buffer.from('{"a":1}'), 1500], [null, -2]])),
+    lruSetMany: jest.fn(() => Promise.resolve([['NS-k-old'], 120, 5])),
+    lruClean: jest.fn(() => Promise.resolve(['0', 2, 0, 0])),
+    lruScan: jest.fn(() => Promise.resolve(['17', ['NS-k-a', 'NS-k-b']])),
+    lruDel: jest.fn(() => Promise.resolve([1, 80, 4])),
+    lruInvalidateTags: jest.fn(() => Promise.resolve([['NS-k-a', 'NS-k-b'], 40, 3])),
+    get: jest.fn(() => Promise.resolve(null)),
+    getBuffer: jest.fn(() => Promise.resolve(null)),
+    exists: jest.fn(() => Promise.resolve(1)),
+    pttl: jest.fn(() => Promise.resolve(1500)),
+    zrange: jest.fn(() => Promise.resolve(['NS-k-a', 'NS-k-b'])),
+    zcard: jest.fn(() => Promise.resolve(2)),
+    lruInspect: jest.fn(() => Promise.resolve([['NS-k-a', 1500, 12, 3, '900'], ['NS-k-b', -1, 20, 0, null]])),
+    lruDumpBuffer: jest.fn(() => Promise.resolve([
+      [Buffer.from('NS-k-a'), Buffer.from('{"a":1}'), 1500, Buffer.from('-900'), Buffer.from('["posts"]'), 3, Buffer.from('900')],
+      [Buffer.from('NS-k-b'), Buffer.from('2'), -1, null, null, 0, null]
+    ])),
+    lruRestore: jest.fn(() => Promise.resolve([['NS-k-old'], 120, 5])),
+    lruEvict: jest.fn(() => Promise.resolve([['NS-k-old'], 120, 5]))
+  };
+};
+
+describe('Test LRU factory', () => {
+  it('should throw without client', () => {
+    expect(() => LRU(null, { max: 10 })).toThrowError('redis client is required.');
+  });
+
+  it('should throw without max', () => {
+    expect(() => LRU(createClient(), {})).toThrowError('max number of items in cache must be specified.');
+  });
+
+  it('should throw with invalid eviction policy', () => {
+    expect(() => LRU(createClient(), { max: 10, evictionPolicy: 'fifo' })).toThrowError(BrokerOptionsError);
+  });
+
+  it('should throw with the score options of redis-lru', () => {
+    expect(() => LRU(createClient(), { max: 10, score: () => 1 })).toThrowError(BrokerOptionsError);
+    expect(() => LRU(createClient(), { max: 10, increment: true })).toThrowError(BrokerOptionsError);
+  });
+
+  it('should register the lua scripts', () => {
+    const client = createClient();
+    LRU(client, { max: 10 });
+
+    Object.keys(scripts).forEach(name => {
+      expect(client.defineCommand).toHaveBeenCalledWith(name, scripts[name]);
+    });
+  });
+});
+
+describe('Test LRU operations', () => {
+  let client, lru, now;
+
+  beforeEach(() => {
+    client = createClient();
+    lru = LRU(client, { max: 10, namespace: 'NS', maxAge: 60000 });
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => now.mockRestore());
+
+  it('should get a value as a Buffer and update its score', () => {
+    return lru.get('a').then(value => {
+      expect(value).toEqual(Buffer.from('{"a":1}'));
+      expect(client.lruGetManyBuffer).toHaveBeenCalledTimes(1);
+      expect(client.lruGetManyBuffer).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'lru', 1000);
+    });
+  });
+
+  it('should get multiple values', () => {
+    return lru.getMany(['a', 'b']).then(values => {
+      expect(values).toEqual([Buffer.from('{"a":1}'), null]);
+      expect(client.lruGetManyBuffer).toHaveBeenCalledWith(7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b', 'lru', 1000);
+    });
+  });
+
+  it('should get values with their remaining ttl', () => {
+    return lru.getManyWithTTL(['a', 'b']).then(entries => {
+      expect(entries).toEqual([{ value: Buffer.from('{"a":1}'), ttl: 1500 }, { value: null, ttl: -2 }]);
+      expect(client.lruGetManyBuffer).toHaveBeenCalledWith(7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b', 'lru', 1000);
+    });
+  });
+
+  it('should set a value as given with the default maxAge', () => {
+    return lru.set('a', '{"a":1}').then(res => {
+      expect(res).toEqual({ evicted: ['old'], bytes: 120, count: 5 });
+      expect(client.lruSetMany).toHaveBeenCalledTimes(1);
+      expect(client.lruSetMany).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'lru', 1000, 10, 0, '{"a":1}', 60000, '');
+    });
+  });
+
+  it('should set multiple values and give back the evicted keys', () => {
+    return lru.setMany([{ key: 'a', value: '1', maxAge: 5000 }, { key: 'b', value: Buffer.from('2') }]).then(res => {
+      expect(res).toEqual({ evicted: ['old'], bytes: 120, count: 5 });
+      expect(client.lruSetMany).toHaveBeenCalledWith(7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b', 'lru', 1000, 10, 0, '1', 5000, '', Buffer.from('2'), 60000, '');
+    });
+  });
+
+  it('should round up the maxAge to the millisecond', () => {
+    return Promise.all([
+      lru.set('a', '1', 1000.9999999999999),
+      lru.restore([{ key: 'b', value: Buffer.from('2'), maxAge: 1001.0000000000001, score: -800 }])
+    ]).then(() => {
+      expect(client.lruSetMany).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'lru', 1000, 10, 0, '1', 1001, '');
+      expect(client.lruRestore).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-b', 10, 0, Buffer.from('2'), 1002, -800, '', 0, '');
+    });
+  });
+
+  it('should peek a value without updating its score', () => {
+    client.getBuffer = jest.fn(() => Promise.resolve(Buffer.from('{"a":1}')));
+    return lru.peek('a').then(value => {
+      expect(value).toEqual(Buffer.from('{"a":1}'));
+      expect(client.getBuffer).toHaveBeenCalledWith('NS-k-a');
+      expect(client.lruGetManyBuffer).toHaveBeenCalledTimes(0);
+      expect(client.lruDel).toHaveBeenCalledTimes(0);
+    });
+  });
+
+  it('should remove the expired entry from the index on peek', () => {
+    return lru.peek('a').then(value => {
+      expect(value).toBeNull();
+      expect(client.lruDel).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a');
+    });
+  });
+
+  it('should check the existence of a key', () => {
+    return lru.has('a').then(res => {
+      expect(res).toBe(true);
+      expect(client.exists).toHaveBeenCalledWith('NS-k-a');
+    });
+  });
+
+  it('should give back the remaining ttl', () => {
+    return lru.pttl('a').then(res => {
+      expect(res).toBe(1500);
+      expect(client.pttl).toHaveBeenCalledWith('NS-k-a');
+    });
+  });
+
+  it('should delete the value, the index member and the size in a script', () => {
+    return lru.del('a').then(res => {
+      expect(res).toEqual({ removed: 1, bytes: 80, count: 4 });
+      expect(client.lruDel).toHaveBeenCalledTimes(1);
+      expect(client.lruDel).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a');
+    });
+  });
+
+  it('should clean by wildcard patterns', () => {
+    return lru.clean(['MOL-posts.*']).then(res => {
+      expect(res).toEqual({ removed: 2, bytes: 0, count: 0 });
+      expect(client.lruClean).toHaveBeenCalledTimes(1);
+      expect(client.lruClean).toHaveBeenCalledWith('NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', '0', 1000, 'NS-k-', '^MOL%-posts%.[^.]*$');
+    });
+  });
+
+  it('should clean the index batch by batch', () => {
+    client.lruClean = jest.fn()
+      .mockResolvedValueOnce([42, 3, 100, 7])
+      .mockResolvedValueOnce(['0', 2, 60, 5]);
+    return lru.clean(['**']).then(res => {
+      expect(res).toEqual({ removed: 5, bytes: 60, count: 5 });
+      expect(client.lruClean).toHaveBeenCalledTimes(2);
+      expect(client.lruClean).toHaveBeenNthCalledWith(2, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 42, 1000, 'NS-k-', '^.*$');
+    });
+  });
+
+  it('should scan a batch of the index', () => {
+    return lru.scan('0', ['MOL-**', 'DEV-**'], 50).then(res => {
+      expect(res).toEqual({ cursor: '17', keys: ['a', 'b'] });
+      expect(client.lruScan).toHaveBeenCalledWith('NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', '0', 50, 'NS-k-', '^MOL%-.*$', '^DEV%-.*$');
+    });
+  });
+
+  it('should save the tags of the entries', () => {
+    return lru.setMany([{ key: 'a', value: '1', tags: ['posts', 'users'] }, { key: 'b', value: '2', tags: [] }]).then(() => {
+      expect(client.lruSetMany).toHaveBeenCalledWith(
+        7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b', 'lru', 1000, 10, 0,
+        '1', 60000, '["posts","users"]',
+        '2', 60000, ''
+      );
+    });
+  });
+
+  it('should remove the entries by tags', () => {
+    return lru.invalidateTags(['posts', 'users']).then(res => {
+      expect(res).toEqual({ keys: ['a', 'b'], bytes: 40, count: 3 });
+      expect(client.lruInvalidateTags).toHaveBeenCalledWith('NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'posts', 'users');
+    });
+  });
+
+  it('should reset every entry', () => {
+    return lru.reset().then(() => {
+      expect(client.lruClean).toHaveBeenCalledWith('NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', '0', 1000, 'NS-k-', '^.*$');
+    });
+  });
+
+  it('should give back the total size', () => {
+    client.get = jest.fn(() => Promise.resolve('2048'));
+    return lru.bytes().then(bytes => {
+      expect(bytes).toBe(2048);
+      expect(client.get).toHaveBeenCalledWith('NS-b');
+    });
+  });
+
+  it('should pass the maxBytes limit to the script', () => {
+    lru = LRU(client, { max: 10, maxBytes: 4096, namespace: 'NS' });
+    return lru.set('a', '1').then(() => {
+      expect(client.lruSetMany).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'lru', 1000, 10, 4096, '1', 0, '');
+    });
+  });
+
+  it('should give back the metadata of entries', () => {
+    return lru.inspect(['a', 'b']).then(entries => {
+      expect(entries).toEqual([
+        { key: 'a', ttl: 1500, size: 12, hits: 3, lastUsed: 900 },
+        { key: 'b', ttl: -1, size: 20, hits: 0, lastUsed: null }
+      ]);
+      expect(client.lruInspect).toHaveBeenCalledWith(7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b');
+    });
+  });
+
+  it('should resize and evict right away', () => {
+    return lru.resize(5)
+      .then(res => {
+        expect(res).toEqual({ evicted: ['old'], bytes: 120, count: 5 });
+        expect(client.lruEvict).toHaveBeenCalledWith('NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 5, 0);
+        return lru.set('a', '1');
+      })
+      .then(() => {
+        expect(client.lruSetMany).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'lru', 1000, 5, 0, '1', 60000, '');
+      });
+  });
+
+  it('should dump the entries with their scores', () => {
+    return lru.dump(['a', 'b']).then(entries => {
+      expect(entries).toEqual([
+        { key: 'a', value: Buffer.from('{"a":1}'), ttl: 1500, score: -900, tags: ['posts'], hits: 3, lastUsed: 900 },
+        { key: 'b', value: Buffer.from('2'), ttl: -1, score: null, tags: null, hits: 0, lastUsed: null }
+      ]);
+      expect(client.lruDumpBuffer).toHaveBeenCalledWith(7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b');
+    });
+  });
+
+  it('should restore the entries with their scores', () => {
+    return lru.restore([
+      { key: 'a', value: Buffer.from('1'), maxAge: 1500, score: -900, tags: ['posts'], hits: 3, lastUsed: 900 },
+      { key: 'b', value: Buffer.from('2'), score: -800 }
+    ]).then(res => {
+      expect(res).toEqual({ evicted: ['old'], bytes: 120, count: 5 });
+      expect(client.lruRestore).toHaveBeenCalledWith(
+        7, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', 'NS-k-b', 10, 0,
+        Buffer.from('1'), 1500, -900, '["posts"]', 3, 900,
+        Buffer.from('2'), 0, -800, '', 0, ''
+      );
+    });
+  });
+
+  it('should give back the keys and the count', () => {
+    return Promise.all([lru.keys(), lru.count()]).then(([keys, count]) => {
+      expect(keys).toEqual(['a', 'b']);
+      expect(count).toBe(2);
+      expect(client.zrange).toHaveBeenCalledWith('NS-i', 0, 9);
+    });
+  });
+});
+
+describe('Test LRU on Redis Cluster', () => {
+  // Mocked cluster client rejecting the scripts whose keys don't share a slot
+  const createCluster = () => {
+    const client = createClient();
+    client.isCluster = true;
+    client.lruSetMany = jest.fn(() => Promise.resolve([['{NS}-k-old'], 120, 5]));
+
+    const slot = key => {
+      const tag = /{(.+?)}/.exec(key);
+      return tag ? tag[1] : key;
+    };
+    const checkSlots = (name, numberOfKeys) => {
+      const script = client[name];
+      client[name] = jest.fn((...args) => {
+        const keys = numberOfKeys ? args.slice(0, numberOfKeys) : args.slice(1, args[0] + 1);
+        if (new Set(keys.map(slot)).size > 1) {
+          return Promise.reject(new Error("CROSSSLOT Keys in request don't hash to the same slot"));
+        }
+        return script(...args);
+      });
+    };
+    ['lruGetManyBuffer', 'lruSetMany', 'lruDel', 'lruInspect'].forEach(name => checkSlots(name));
+    ['lruClean', 'lruScan', 'lruInvalidateTags'].forEach(name => checkSlots(name, 5));
+    return client;
+  };
+
+  let client, now;
+
+  beforeEach(() => {
+    client = createCluster();
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => now.mockRestore());
+
+  it('should fail with CROSSSLOT without hash tags', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS', hashTag: false });
+    return lru.set('a', '1').then(() => {
+      throw new Error('should have failed');
+    }, err => {
+      expect(err.message).toMatch('CROSSSLOT');
+    });
+  });
+
+  it('should hash tag the keys on a cluster', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    return lru.set('a', '1', 5000).then(res => {
+      expect(res).toEqual({ evicted: ['old'], bytes: 120, count: 5 });
+      expect(client.lruSetMany).toHaveBeenCalledWith(6, '{NS}-i', '{NS}-s', '{NS}-b', '{NS}-g', '{NS}-m', '{NS}-k-a', 'lru', 1000, 10, 0, '1', 5000, '');
+    });
+  });
+
+  it('should run every script on a single slot', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    return Promise.all([
+      lru.getMany(['a', 'b']),
+      lru.setMany([{ key: 'a', value: '1' }, { key: 'b', value: '2' }]),
+      lru.del('a'),
+      lru.clean(['**']),
+      lru.scan('0', ['**'], 10),
+      lru.invalidateTags(['posts']),
+      lru.inspect(['a', 'b'])
+    ]).then(() => {
+      expect(client.lruClean).toHaveBeenCalledWith('{NS}-i', '{NS}-s', '{NS}-b', '{NS}-g', '{NS}-m', '0', 1000, '{NS}-k-', '^.*$');
+    });
+  });
+
+  it('should use the hash tags if forced', () => {
+    client = createClient();
+    const lru = LRU(client, { max: 10, namespace: 'NS', hashTag: true });
+    return lru.pttl('a').then(() => {
+      expect(client.pttl).toHaveBeenCalledWith('{NS}-k-a');
+    });
+  });
+});
+
+describe('Test LRU eviction policies', () => {
+  let now;
+
+  beforeEach(() => {
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+  });
+
+  afterEach(() => now.mockRestore());
+
+  LRU.POLICIES.forEach(policy => {
+    it(`should score and evict by the '${policy}' policy`, () => {
+      const client = createClient();
+      const lru = LRU(client, { max: 3, namespace: 'NS', evictionPolicy: policy });
+
+      return lru
+        .set('a', '1', 5000)
+        .then(() => lru.get('a'))
+        .then(() => {
+          expect(client.lruSetMany).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', policy, 1000, 3, 0, '1', 5000, '');
+          expect(client.lruGetManyBuffer).toHaveBeenCalledWith(6, 'NS-i', 'NS-s', 'NS-b', 'NS-g', 'NS-m', 'NS-k-a', policy, 1000);
+        });
+    });
+  });
+});
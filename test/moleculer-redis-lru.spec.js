@@ -1,14 +1,22 @@
 const ServiceBroker = require('moleculer/src/service-broker');
 const RedisLRUCacher = require('../');
+const Serializers = require('moleculer/src/serializers');
+const { BrokerOptionsError, MoleculerError } = require('moleculer/src/errors');
+const { Readable } = require('stream');
 
-const LRU = require('redis-lru');
-jest.mock('redis-lru');
+const LRU = require('../src/lru');
+jest.mock('../src/lru');
 
 jest.mock('ioredis');
 const Redis = require('ioredis');
 
 const lolex = require('@sinonjs/fake-timers');
 
+// Values are stored with the default JSON serializer
+const serialize = data => Buffer.from(JSON.stringify(data));
+// Entries are read with their remaining ttl in milliseconds, -1 without expiry
+const entry = (value, ttl = -1) => ({ value, ttl: value == null ? -2 : ttl });
+
 const protectReject = (err) => {
   if (err && err.stack) {
     console.error(err);
@@ -56,7 +64,8 @@ describe('Test RedisLRUCacher constructor', () => {
       maxParamsLength: null,
       redis: opts,
       max: 1000,
-      namespace: 'REDIS-LRU!'
+      namespace: 'REDIS-LRU!',
+      evictionPolicy: 'lru'
     });
   });
 });
@@ -84,8 +93,40 @@ describe('Test RedisLRUCacher init', () => {
     cacher.init(broker);
 
     expect(cacher.clientRedis).toBeInstanceOf(Redis);
-    expect(Redis).toHaveBeenCalledTimes(1);
-    expect(Redis).toHaveBeenCalledWith(opts.redis);
+    // command client & invalidation subscriber
+    expect(Redis).toHaveBeenCalledTimes(2);
+    expect(Redis).toHaveBeenNthCalledWith(1, opts.redis);
+    expect(Redis).toHaveBeenNthCalledWith(2, opts.redis);
+    expect(cacher.clientSub.subscribe).toHaveBeenCalledWith('REDIS-LRU!-invalidate', expect.any(Function));
+  });
+
+  it('should create the JSON serializer by default', () => {
+    const cacher = new RedisLRUCacher();
+    cacher.init(broker);
+
+    expect(cacher.serializer).toBeInstanceOf(Serializers.JSON);
+  });
+
+  it('should resolve the serializer by name', () => {
+    const cacher = new RedisLRUCacher({ serializer: 'json' });
+    cacher.init(broker);
+
+    expect(cacher.serializer).toBeInstanceOf(Serializers.JSON);
+  });
+
+  it('should use a custom serializer instance', () => {
+    const serializer = new Serializers.JSON();
+    jest.spyOn(serializer, 'init');
+    const cacher = new RedisLRUCacher({ serializer });
+    cacher.init(broker);
+
+    expect(cacher.serializer).toBe(serializer);
+    expect(serializer.init).toHaveBeenCalledWith(broker);
+  });
+
+  it('should throw with an unknown serializer', () => {
+    const cacher = new RedisLRUCacher({ serializer: 'xml' });
+    expect(() => cacher.init(broker)).toThrowError(BrokerOptionsError);
   });
 });
 
@@ -227,6 +268,75 @@ describe('Test RedisCacher cluster', () => {
   });
 });
 
+describe('Test RedisLRUCacher sentinel', () => {
+  const broker = new ServiceBroker({ logger: false });
+  const sentinels = [{ host: 'sentinel-1', port: 26379 }, { host: 'sentinel-2', port: 26379 }];
+
+  beforeEach(() => {
+    Redis.mockClear();
+  });
+
+  it('should connect to the master through the sentinels', () => {
+    const cacher = new RedisLRUCacher({
+      redis: { db: 2 },
+      sentinel: { sentinels, name: 'mymaster', password: 'secret', sentinelPassword: 'sentinel-secret' }
+    });
+    cacher.init(broker);
+
+    expect(cacher.clientRedis).toBeInstanceOf(Redis);
+    expect(Redis).toHaveBeenNthCalledWith(1, {
+      db: 2,
+      failoverDetector: true,
+      sentinels,
+      name: 'mymaster',
+      password: 'secret',
+      sentinelPassword: 'sentinel-secret'
+    });
+    // failover monitors
+    expect(Redis).toHaveBeenNthCalledWith(2, { host: 'sentinel-1', port: 26379, password: 'sentinel-secret' });
+    expect(Redis).toHaveBeenNthCalledWith(3, { host: 'sentinel-2', port: 26379, password: 'sentinel-secret' });
+    expect(cacher.clientSentinels).toHaveLength(2);
+    cacher.clientSentinels.forEach(client => {
+      expect(client.subscribe).toHaveBeenCalledWith('+switch-master', expect.any(Function));
+    });
+  });
+
+  it('should fail to init without sentinels', () => {
+    const cacher = new RedisLRUCacher({ sentinel: { sentinels: [], name: 'mymaster' } });
+    expect(() => cacher.init(broker)).toThrowError(BrokerOptionsError);
+    expect(() => cacher.init(broker)).toThrowError('No sentinels defined for sentinel');
+  });
+
+  it('should fail to init without master name', () => {
+    const cacher = new RedisLRUCacher({ sentinel: { sentinels } });
+    expect(() => cacher.init(broker)).toThrowError('No master name defined for sentinel');
+  });
+
+  it('should log the failovers of the master once', () => {
+    const cacher = new RedisLRUCacher({ sentinel: { sentinels, name: 'mymaster' } });
+    cacher.init(broker);
+    jest.spyOn(cacher.logger, 'warn');
+
+    const message = 'mymaster 10.0.0.1 6379 10.0.0.2 6379';
+    cacher.clientSentinels.forEach(client => {
+      const onMessage = client.on.mock.calls.find(([event]) => event === 'message')[1];
+      onMessage('+switch-master', message);
+      onMessage('+switch-master', 'othermaster 10.0.0.3 6379 10.0.0.4 6379');
+    });
+
+    expect(cacher.logger.warn).toHaveBeenCalledTimes(1);
+    expect(cacher.logger.warn).toHaveBeenCalledWith("Redis master 'mymaster' switched from 10.0.0.1:6379 to 10.0.0.2:6379.");
+  });
+
+  it('should close the sentinel clients', () => {
+    const cacher = new RedisLRUCacher({ sentinel: { sentinels, name: 'mymaster' } });
+    cacher.init(broker);
+    return cacher.close().catch(protectReject).then(() => {
+      cacher.clientSentinels.forEach(client => expect(client.quit).toHaveBeenCalledTimes(1));
+    });
+  });
+});
+
 describe('Test RedisCacher set & get without prefix', () => {
   let broker = new ServiceBroker({ logger: false });
   let cacher = new RedisLRUCacher();
@@ -251,27 +361,33 @@ describe('Test RedisCacher set & get without prefix', () => {
     LRU.mockClear();
 
     cacher.client = jest.fn();
-    cacher.client.get = jest.fn(() => Promise.resolve(data1));
-    cacher.client.set = jest.fn(() => Promise.resolve());
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize(data1))));
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 2 }));
     cacher.client.setex = jest.fn(() => Promise.resolve());
-    cacher.client.del = jest.fn(() => Promise.resolve());
+    cacher.client.del = jest.fn(() => Promise.resolve({ removed: 1, bytes: 50, count: 1 }));
     cacher.client.keys = jest.fn(() => Promise.resolve([prefix + key, prefix + key2]));
+    cacher.client.clean = jest.fn(() => Promise.resolve({ removed: 2, bytes: 0, count: 0 }));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
   });
 
   it('should call client.set with key & data', () => {
-    cacher.set(key, data1);
-    expect(cacher.client.set).toHaveBeenCalledTimes(1);
-    expect(cacher.client.set).toHaveBeenCalledWith(
-      prefix + key,
-      data1
-    );
-    expect(cacher.client.setex).toHaveBeenCalledTimes(0);
+    return cacher
+      .set(key, data1)
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledWith(
+          prefix + key,
+          serialize(data1)
+        );
+        expect(cacher.client.setex).toHaveBeenCalledTimes(0);
+      });
   });
 
   it('should call client.get with key & return with data1', () => {
     let p = cacher.get(key);
-    expect(cacher.client.get).toHaveBeenCalledTimes(1);
-    expect(cacher.client.get).toHaveBeenCalledWith(prefix + key);
+    expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+    expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
     return p.catch(protectReject).then(d => {
       expect(d).toEqual(data1);
     });
@@ -290,15 +406,14 @@ describe('Test RedisCacher set & get without prefix', () => {
     expect(cacher.client.del).toHaveBeenNthCalledWith(2, prefix + 'key2');
   });
 
-  it('should call client.keys & del', () => {
+  it('should clean every key', () => {
     return cacher
       .clean()
       .catch(protectReject)
-      .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(2);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(2, prefix + key2);
+      .then(removed => {
+        expect(removed).toBe(2);
+        expect(cacher.client.clean).toHaveBeenCalledTimes(1);
+        expect(cacher.client.clean).toHaveBeenCalledWith([prefix + '**']);
       });
   });
 
@@ -307,32 +422,18 @@ describe('Test RedisCacher set & get without prefix', () => {
       .clean('tst*')
       .catch(protectReject)
       .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key);
-      });
-  });
-
-  it('should clean posts* keys', () => {
-    return cacher
-      .clean('posts*')
-      .catch(protectReject)
-      .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key2);
+        expect(cacher.client.clean).toHaveBeenCalledTimes(1);
+        expect(cacher.client.clean).toHaveBeenCalledWith([prefix + 'tst*']);
       });
   });
 
   it('should clean by multiple patterns', () => {
     return cacher
-      .clean(['tst*', 'posts*'])
+      .clean(['tst*', 'posts.?.**'])
       .catch(protectReject)
       .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(2);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(2, prefix + key2);
+        expect(cacher.client.clean).toHaveBeenCalledTimes(1);
+        expect(cacher.client.clean).toHaveBeenCalledWith([prefix + 'tst*', prefix + 'posts.?.**']);
       });
   });
 });
@@ -365,11 +466,13 @@ describe('Test RedisLRUCacher set & get with namespace & ttl', () => {
     LRU.mockClear();
 
     cacher.client = jest.fn();
-    cacher.client.get = jest.fn(() => Promise.resolve(data1));
-    cacher.client.set = jest.fn(() => Promise.resolve());
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize(data1))));
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 2 }));
     cacher.client.setex = jest.fn(() => Promise.resolve());
-    cacher.client.del = jest.fn(() => Promise.resolve());
+    cacher.client.del = jest.fn(() => Promise.resolve({ removed: 1, bytes: 50, count: 1 }));
     cacher.client.keys = jest.fn(() => Promise.resolve([prefix + key, prefix + key2]));
+    cacher.client.clean = jest.fn(() => Promise.resolve({ removed: 2, bytes: 0, count: 0 }));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
 
     ['error', 'fatal', 'info', 'log', 'debug'].forEach(level =>
       cacher.logger[level].mockClear()
@@ -377,19 +480,248 @@ describe('Test RedisLRUCacher set & get with namespace & ttl', () => {
   });
 
   it('should call client.set with key, data, and ttl', () => {
-    cacher.set(key, data1);
-    expect(cacher.client.set).toHaveBeenCalledTimes(1);
-    expect(cacher.client.set).toHaveBeenCalledWith(
-      prefix + key,
-      data1,
-      60
-    );
+    return cacher
+      .set(key, data1)
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledWith(
+          prefix + key,
+          serialize(data1),
+          60000
+        );
+      });
+  });
+
+  it('should update the size metrics after set, del & clean', () => {
+    jest.spyOn(cacher.metrics, 'set');
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.del([key, key2]))
+      .then(() => cacher.clean())
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.metrics.set).toHaveBeenCalledTimes(6);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(1, 'moleculer.cacher.size.bytes', 100);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(2, 'moleculer.cacher.entries.total', 2);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(3, 'moleculer.cacher.size.bytes', 50);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(4, 'moleculer.cacher.entries.total', 1);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(5, 'moleculer.cacher.size.bytes', 0);
+        expect(cacher.metrics.set).toHaveBeenNthCalledWith(6, 'moleculer.cacher.entries.total', 0);
+        cacher.metrics.set.mockRestore();
+      });
+  });
+
+  it('should report the entries evicted by set', () => {
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [prefix + 'old1', prefix + 'old2'], bytes: 100, count: 2 }));
+    jest.spyOn(cacher.metrics, 'increment');
+    jest.spyOn(broker, 'broadcastLocal');
+    return cacher
+      .set(key, data1)
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.evicted.total', null, 2);
+        expect(broker.broadcastLocal).toHaveBeenCalledTimes(1);
+        expect(broker.broadcastLocal).toHaveBeenCalledWith('$cacher.evicted', { keys: ['old1', 'old2'] });
+        cacher.metrics.increment.mockRestore();
+        broker.broadcastLocal.mockRestore();
+      });
+  });
+
+  it('should not report without evicted entries', () => {
+    jest.spyOn(broker, 'broadcastLocal');
+    return cacher
+      .set(key, data1)
+      .catch(protectReject)
+      .then(() => {
+        expect(broker.broadcastLocal).toHaveBeenCalledTimes(0);
+        broker.broadcastLocal.mockRestore();
+      });
+  });
+
+  it('should call client.set with the ttl converted to milliseconds', () => {
+    return cacher
+      .set(key, data1, 5)
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledWith(
+          prefix + key,
+          serialize(data1),
+          5000
+        );
+      });
+  });
+
+  it('should save multiple entries at once', () => {
+    cacher.client.setMany = jest.fn(() => Promise.resolve({ evicted: [prefix + 'old'], bytes: 200, count: 3 }));
+    jest.spyOn(cacher.metrics, 'increment');
+    jest.spyOn(cacher.metrics, 'set');
+    return cacher
+      .setMany([{ key, data: data1 }, { key: key2, data: 'post', ttl: 5 }])
+      .catch(protectReject)
+      .then(evicted => {
+        expect(evicted).toEqual(['old']);
+        expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.evicted.total', null, 1);
+        expect(cacher.client.setMany).toHaveBeenCalledTimes(1);
+        expect(cacher.client.setMany).toHaveBeenCalledWith([
+          { key: prefix + key, value: serialize(data1), maxAge: 60000, tags: null },
+          { key: prefix + key2, value: serialize('post'), maxAge: 5000, tags: null }
+        ]);
+        expect(cacher.metrics.increment).toHaveBeenCalledTimes(3);
+        expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.set.total');
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.size.bytes', 200);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.entries.total', 3);
+        cacher.metrics.increment.mockRestore();
+        cacher.metrics.set.mockRestore();
+      });
   });
 
   it('should give back the data by key', () => {
     cacher.get(key);
-    expect(cacher.client.get).toHaveBeenCalledTimes(1);
-    expect(cacher.client.get).toHaveBeenCalledWith(prefix + key);
+    expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+    expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
+  });
+
+  it('should give back the data of multiple keys', () => {
+    cacher.client.getManyWithTTL = jest.fn(() => Promise.resolve([entry(serialize(data1)), entry(null)]));
+    jest.spyOn(cacher.metrics, 'increment');
+    return cacher
+      .getMany([key, key2])
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual([data1, null]);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledWith([prefix + key, prefix + key2]);
+        expect(cacher.metrics.increment).toHaveBeenCalledTimes(3);
+        expect(cacher.metrics.increment).toHaveBeenNthCalledWith(1, 'moleculer.cacher.get.total');
+        expect(cacher.metrics.increment).toHaveBeenNthCalledWith(2, 'moleculer.cacher.get.total');
+        expect(cacher.metrics.increment).toHaveBeenNthCalledWith(3, 'moleculer.cacher.found.total');
+        cacher.metrics.increment.mockRestore();
+      });
+  });
+
+  it('should not call redis for an empty list of keys', () => {
+    cacher.client.getManyWithTTL = jest.fn();
+    return cacher
+      .getMany([])
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual([]);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledTimes(0);
+      });
+  });
+
+  it('should peek the data without updating its score', () => {
+    cacher.client.peek = jest.fn(() => Promise.resolve(serialize(data1)));
+    return cacher
+      .peek(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual(data1);
+        expect(cacher.client.peek).toHaveBeenCalledWith(prefix + key);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(0);
+        expect(cacher.logger.debug).toHaveBeenCalledWith(`PEEK ${key}`);
+        expect(cacher.logger.debug).toHaveBeenCalledWith(`FOUND ${key}`);
+      });
+  });
+
+  it('should peek null for missing keys', () => {
+    cacher.client.peek = jest.fn(() => Promise.resolve(null));
+    return cacher
+      .peek(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toBeNull();
+        expect(cacher.logger.debug).not.toHaveBeenCalledWith(`FOUND ${key}`);
+      });
+  });
+
+  it('should check the existence of a key without updating its score', () => {
+    cacher.client.has = jest.fn()
+      .mockResolvedValueOnce(true)
+      .mockResolvedValueOnce(false);
+    return Promise.all([cacher.has(key), cacher.has(key2)])
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual([true, false]);
+        expect(cacher.client.has).toHaveBeenNthCalledWith(1, prefix + key);
+        expect(cacher.client.has).toHaveBeenNthCalledWith(2, prefix + key2);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(0);
+        expect(cacher.logger.debug).toHaveBeenCalledWith(`HAS ${key}`);
+      });
+  });
+
+  it('should give back the data and the remaining ttl by key', () => {
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize(data1), 42500)));
+    return cacher
+      .getWithTTL(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({ data: data1, ttl: 42.5, stale: false });
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
+      });
+  });
+
+  it('should give back null ttl for entries without expiry', () => {
+    return cacher
+      .getWithTTL(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({ data: data1, ttl: null, stale: false });
+      });
+  });
+
+  it('should give back null data & ttl for missing entries', () => {
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(null)));
+    return cacher
+      .getWithTTL(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({ data: null, ttl: null, stale: false });
+      });
+  });
+
+  it('should handle a value which can not be deserialized as a missing entry', () => {
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(Buffer.from('{invalid'))));
+    jest.spyOn(cacher.logger, 'error');
+    return cacher
+      .get(key)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeNull();
+        expect(cacher.logger.error).toHaveBeenCalledTimes(1);
+        expect(cacher.logger.error).toHaveBeenCalledWith(`Redis result parse error. Key: ${key}`, expect.any(Error));
+        cacher.logger.error.mockRestore();
+      });
+  });
+
+  it('should store the data with a custom serializer', () => {
+    // keeps the Date instances, which JSON turns into strings
+    class DateSerializer extends Serializers.Base {
+      serialize (obj) {
+        return Buffer.from(JSON.stringify({ date: obj.date.getTime() }));
+      }
+
+      deserialize (buf) {
+        return { date: new Date(JSON.parse(buf).date) };
+      }
+    }
+    const serializer = cacher.serializer;
+    cacher.serializer = new DateSerializer();
+    const data = { date: new Date(1000) };
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(Buffer.from('{"date":1000}'))));
+    return cacher
+      .set(key, data)
+      .then(() => cacher.get(key))
+      .catch(protectReject)
+      .then(res => {
+        expect(cacher.client.set).toHaveBeenCalledWith(prefix + key, Buffer.from('{"date":1000}'), 60000);
+        expect(res).toEqual(data);
+        expect(res.date).toBeInstanceOf(Date);
+        cacher.serializer = serializer;
+      });
   });
 
   it('should call client.del with key', () => {
@@ -431,28 +763,1449 @@ describe('Test RedisLRUCacher set & get with namespace & ttl', () => {
       });
   });
 
-  it('should call client.keys & del', () => {
+  it('should clean tst* keys with count', () => {
     return cacher
-      .clean()
+      .clean('tst*')
       .catch(protectReject)
-      .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(2);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(2, prefix + key2);
+      .then(removed => {
+        expect(removed).toBe(2);
+        expect(cacher.client.clean).toHaveBeenCalledTimes(1);
+        expect(cacher.client.clean).toHaveBeenCalledWith([prefix + 'tst*']);
       });
   });
 
-  it('should clean tst* keys', () => {
+  it('should throw clean error', () => {
+    const error = new Error('Redis clean error');
+    cacher.client.clean = jest.fn(() => Promise.reject(error));
     return cacher
       .clean('tst*')
+      .then(protectReject)
+      .catch(err => {
+        expect(err).toBe(error);
+        expect(cacher.logger.error).toHaveBeenCalledTimes(1);
+        expect(cacher.logger.error).toHaveBeenCalledWith(
+          "Redis 'clean' error. Pattern: MOL-uat-tst*",
+          error
+        );
+      });
+  });
+
+  it('should call client.set with the prefixed tags', () => {
+    return cacher
+      .set(key, data1, null, { tags: ['posts', 'users'] })
       .catch(protectReject)
       .then(() => {
-        expect(cacher.client.keys).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenCalledTimes(1);
-        expect(cacher.client.del).toHaveBeenNthCalledWith(1, prefix + key);
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledWith(
+          prefix + key,
+          serialize(data1),
+          60000,
+          [prefix + 'posts', prefix + 'users']
+        );
+      });
+  });
+
+  it('should save the tags of multiple entries', () => {
+    cacher.client.setMany = jest.fn(() => Promise.resolve({ evicted: [], bytes: 200, count: 2 }));
+    return cacher
+      .setMany([{ key, data: data1, tags: ['posts'] }, { key: key2, data: 'post' }])
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.setMany).toHaveBeenCalledWith([
+          { key: prefix + key, value: serialize(data1), maxAge: 60000, tags: [prefix + 'posts'] },
+          { key: prefix + key2, value: serialize('post'), maxAge: 60000, tags: null }
+        ]);
+      });
+  });
+
+  it('should invalidate the entries by tags', () => {
+    cacher.client.invalidateTags = jest.fn(() => Promise.resolve({ keys: [prefix + key, prefix + key2], bytes: 20, count: 1 }));
+    jest.spyOn(cacher.metrics, 'set');
+    return cacher
+      .invalidateTags('posts')
+      .catch(protectReject)
+      .then(removed => {
+        expect(removed).toBe(2);
+        expect(cacher.client.invalidateTags).toHaveBeenCalledTimes(1);
+        expect(cacher.client.invalidateTags).toHaveBeenCalledWith([prefix + 'posts']);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.size.bytes', 20);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.entries.total', 1);
+        cacher.metrics.set.mockRestore();
+      });
+  });
+
+  it('should throw invalidateTags error', () => {
+    const error = new Error('Redis invalidateTags error');
+    cacher.client.invalidateTags = jest.fn(() => Promise.reject(error));
+    return cacher
+      .invalidateTags(['posts', 'users'])
+      .then(protectReject)
+      .catch(err => {
+        expect(err).toBe(error);
+        expect(cacher.logger.error).toHaveBeenCalledWith(
+          "Redis 'invalidateTags' error. Tags: posts,users",
+          error
+        );
+      });
+  });
+});
+
+describe('Test RedisLRUCacher with compression', () => {
+  const broker = new ServiceBroker({ logger: false });
+  const cacher = new RedisLRUCacher({ compression: { type: 'gzip', threshold: 100 } });
+  cacher.init(broker);
+
+  const key = 'posts.find';
+  const small = { a: 1 };
+  const large = { items: new Array(200).fill('lorem ipsum dolor sit amet') };
+  const prefix = 'MOL-';
+
+  beforeEach(() => {
+    cacher.client = jest.fn();
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 1 }));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should compress the values reaching the threshold', () => {
+    jest.spyOn(cacher.metrics, 'increment');
+    return cacher
+      .set(key, large)
+      .catch(protectReject)
+      .then(() => {
+        const [, stored] = cacher.client.set.mock.calls[0];
+        const saved = serialize(large).length - stored.length;
+        expect(stored.slice(0, 4).toString()).toBe('\u0000LZg');
+        expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.compression.saved.bytes', null, saved);
+
+        cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(stored)));
+        return cacher.get(key);
+      })
+      .then(data => {
+        expect(data).toEqual(large);
+        cacher.metrics.increment.mockRestore();
+      });
+  });
+
+  it('should store the values below the threshold uncompressed', () => {
+    return cacher
+      .set(key, small)
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.set).toHaveBeenCalledWith(prefix + key, serialize(small));
+      });
+  });
+
+  it('should read compressed values without compression enabled', () => {
+    const plainCacher = new RedisLRUCacher();
+    plainCacher.init(broker);
+    plainCacher.client = jest.fn();
+
+    return cacher
+      .set(key, large)
+      .then(() => {
+        const [, stored] = cacher.client.set.mock.calls[0];
+        plainCacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(stored)));
+        return plainCacher.get(key);
+      })
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toEqual(large);
+      });
+  });
+});
+
+describe('Test RedisLRUCacher partitions', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  const prefix = 'MOL-';
+  const createClient = () => ({
+    getWithTTL: jest.fn(() => Promise.resolve(entry(serialize('found')))),
+    getManyWithTTL: jest.fn(keys => Promise.resolve(keys.map(() => entry(serialize('found'))))),
+    set: jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 1 })),
+    setMany: jest.fn(() => Promise.resolve({ evicted: [], bytes: 200, count: 2 })),
+    del: jest.fn(() => Promise.resolve({ removed: 1, bytes: 0, count: 0 })),
+    clean: jest.fn(() => Promise.resolve({ removed: 1, bytes: 0, count: 0 })),
+    scan: jest.fn(() => Promise.resolve({ cursor: '0', keys: [] })),
+    inspect: jest.fn(() => Promise.resolve([]))
+  });
+
+  beforeEach(() => {
+    LRU.mockClear();
+    cacher = new RedisLRUCacher({ ttl: 60, max: 1000, partitions: { posts: { max: 10, ttl: 5 }, 'v2.users': { maxBytes: 4096 } } });
+    cacher.init(broker);
+    cacher.client = createClient();
+    cacher.partitions.posts.client = createClient();
+    cacher.partitions['v2.users'].client = createClient();
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should give back the stats of every partition', () => {
+    [cacher.client, cacher.partitions.posts.client, cacher.partitions['v2.users'].client].forEach((client, i) => {
+      client.count = jest.fn(() => Promise.resolve(i + 1));
+      client.bytes = jest.fn(() => Promise.resolve((i + 1) * 100));
+    });
+    return cacher
+      .stats()
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({
+          count: 6,
+          bytes: 600,
+          partitions: [
+            { name: null, count: 1, bytes: 100 },
+            { name: 'posts', count: 2, bytes: 200 },
+            { name: 'v2.users', count: 3, bytes: 300 }
+          ]
+        });
+      });
+  });
+
+  it('should create an LRU cache for every partition', () => {
+    expect(LRU).toHaveBeenCalledTimes(3);
+    expect(LRU).toHaveBeenNthCalledWith(2, cacher.clientRedis, expect.objectContaining({ namespace: 'REDIS-LRU!-p-posts', max: 10, maxAge: 5000 }));
+    expect(LRU).toHaveBeenNthCalledWith(3, cacher.clientRedis, expect.objectContaining({ namespace: 'REDIS-LRU!-p-v2.users', max: 1000, maxBytes: 4096, maxAge: 60000 }));
+  });
+
+  it('should save the entries in the partition of their service with its ttl', () => {
+    return cacher
+      .set('posts.find:abc', 'post')
+      .then(() => cacher.set('v2.users.get:abc', 'user'))
+      .then(() => cacher.set('comments.find:abc', 'comment'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.partitions.posts.client.set).toHaveBeenCalledWith(prefix + 'posts.find:abc', serialize('post'), 5000);
+        expect(cacher.partitions['v2.users'].client.set).toHaveBeenCalledWith(prefix + 'v2.users.get:abc', serialize('user'), 60000);
+        expect(cacher.client.set).toHaveBeenCalledWith(prefix + 'comments.find:abc', serialize('comment'), 60000);
+      });
+  });
+
+  it('should get the entries of several partitions', () => {
+    return cacher
+      .getMany(['posts.find:a', 'comments.find:a', 'posts.find:b'])
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual(['found', 'found', 'found']);
+        expect(cacher.partitions.posts.client.getManyWithTTL).toHaveBeenCalledWith([prefix + 'posts.find:a', prefix + 'posts.find:b']);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledWith([prefix + 'comments.find:a']);
+      });
+  });
+
+  it('should save entries of several partitions', () => {
+    return cacher
+      .setMany([{ key: 'posts.find:a', data: 1 }, { key: 'comments.find:a', data: 2, ttl: 10 }])
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.partitions.posts.client.setMany).toHaveBeenCalledWith([
+          { key: prefix + 'posts.find:a', value: serialize(1), maxAge: 5000, tags: null }
+        ]);
+        expect(cacher.client.setMany).toHaveBeenCalledWith([
+          { key: prefix + 'comments.find:a', value: serialize(2), maxAge: 10000, tags: null }
+        ]);
       });
   });
+
+  it('should delete from the partition of the key', () => {
+    return cacher
+      .del(['posts.find:a', 'comments.find:a'])
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.partitions.posts.client.del).toHaveBeenCalledWith(prefix + 'posts.find:a');
+        expect(cacher.client.del).toHaveBeenCalledWith(prefix + 'comments.find:a');
+      });
+  });
+
+  it('should clean every partition', () => {
+    return cacher
+      .clean('**')
+      .catch(protectReject)
+      .then(removed => {
+        expect(removed).toBe(3);
+        expect(cacher.client.clean).toHaveBeenCalledWith([prefix + '**']);
+        expect(cacher.partitions.posts.client.clean).toHaveBeenCalledWith([prefix + '**']);
+        expect(cacher.partitions['v2.users'].client.clean).toHaveBeenCalledWith([prefix + '**']);
+      });
+  });
+
+  it('should report the size of every partition in the gauges', () => {
+    jest.spyOn(cacher.metrics, 'set');
+    return cacher
+      .set('posts.find:a', 'post')
+      .then(() => cacher.set('comments.find:a', 'comment'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.metrics.set).toHaveBeenLastCalledWith('moleculer.cacher.entries.total', 2);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.size.bytes', 200);
+        cacher.metrics.set.mockRestore();
+      });
+  });
+
+  it('should iterate over the matching entries of every partition', async () => {
+    cacher.client.scan = jest.fn()
+      .mockResolvedValueOnce({ cursor: '12', keys: [prefix + 'comments.find:a'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: [] });
+    cacher.client.inspect = jest.fn(() => Promise.resolve([
+      { key: prefix + 'comments.find:a', ttl: 1500, size: 12, hits: 3, lastUsed: 900 }
+    ]));
+    cacher.partitions.posts.client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [prefix + 'posts.find:a', prefix + 'posts.find:b'] }));
+    cacher.partitions.posts.client.inspect = jest.fn(() => Promise.resolve([
+      { key: prefix + 'posts.find:a', ttl: -1, size: 20, hits: 0, lastUsed: null },
+      { key: prefix + 'posts.find:b', ttl: -2, size: 5, hits: 1, lastUsed: 800 }
+    ]));
+    cacher.partitions['v2.users'].client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [] }));
+
+    const entries = [];
+    for await (const entry of cacher.scan({ match: '*.find:*', count: 10 })) {
+      entries.push(entry);
+    }
+
+    expect(entries).toEqual([
+      { key: 'comments.find:a', ttl: 1.5, lastUsed: 900, size: 12, hits: 3 },
+      { key: 'posts.find:a', ttl: null, lastUsed: null, size: 20, hits: 0 },
+      { key: 'posts.find:b', ttl: 0, lastUsed: 800, size: 5, hits: 1 }
+    ]);
+    expect(cacher.client.scan).toHaveBeenCalledTimes(2);
+    expect(cacher.client.scan).toHaveBeenNthCalledWith(1, '0', [prefix + '*.find:*'], 10);
+    expect(cacher.client.scan).toHaveBeenNthCalledWith(2, '12', [prefix + '*.find:*'], 10);
+    expect(cacher.client.inspect).toHaveBeenCalledTimes(1);
+    expect(cacher.client.inspect).toHaveBeenCalledWith([prefix + 'comments.find:a']);
+    expect(cacher.partitions['v2.users'].client.inspect).toHaveBeenCalledTimes(0);
+  });
+
+  it('should list every key', () => {
+    const entries = keys => Promise.resolve(keys.map(key => ({ key, ttl: -1, size: 1, hits: 0, lastUsed: null })));
+    cacher.client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [prefix + 'a'] }));
+    cacher.client.inspect = jest.fn(entries);
+    cacher.partitions.posts.client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [prefix + 'posts.1'] }));
+    cacher.partitions.posts.client.inspect = jest.fn(entries);
+    cacher.partitions['v2.users'].client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [] }));
+    return cacher
+      .getCacheKeys()
+      .catch(protectReject)
+      .then(keys => {
+        expect(keys.map(({ key }) => key)).toEqual(['a', 'posts.1']);
+        expect(cacher.client.scan).toHaveBeenCalledWith('0', [prefix + '**'], 1000);
+      });
+  });
+
+  it('should list the keys page by page with a cursor', () => {
+    const entries = keys => Promise.resolve(keys.map(key => ({ key, ttl: -1, size: 1, hits: 0, lastUsed: null })));
+    cacher.client.scan = jest.fn()
+      .mockResolvedValueOnce({ cursor: '12', keys: [prefix + 'a', prefix + 'b'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: [] });
+    cacher.client.inspect = jest.fn(entries);
+    cacher.partitions.posts.client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [prefix + 'posts.1'] }));
+    cacher.partitions.posts.client.inspect = jest.fn(entries);
+    cacher.partitions['v2.users'].client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: [] }));
+
+    const pages = [];
+    const next = cursor => cacher.getCacheKeys({ cursor, count: 2 }).then(page => {
+      pages.push(page);
+      return page.cursor !== '0' ? next(page.cursor) : pages;
+    });
+    return next('0')
+      .catch(protectReject)
+      .then(pages => {
+        expect(pages.map(({ cursor, keys }) => [cursor, keys.map(({ key }) => key)])).toEqual([
+          ['0:12', ['a', 'b']],
+          ['1:0', []],
+          ['2:0', ['posts.1']],
+          ['0', []]
+        ]);
+        expect(cacher.client.scan).toHaveBeenNthCalledWith(1, '0', [prefix + '**'], 2);
+        expect(cacher.client.scan).toHaveBeenNthCalledWith(2, '12', [prefix + '**'], 2);
+        expect(cacher.partitions.posts.client.scan).toHaveBeenCalledWith('0', [prefix + '**'], 2);
+      });
+  });
+
+  it('should reject an invalid cursor', () => {
+    return Promise.all([
+      cacher.getCacheKeys({ cursor: '9:0' }).then(protectReject, err => err),
+      cacher.getCacheKeys({ cursor: 'abc' }).then(protectReject, err => err)
+    ]).then(errors => {
+      errors.forEach(err => expect(err).toBeInstanceOf(BrokerOptionsError));
+      expect(errors[0].message).toBe("Invalid cursor '9:0'.");
+    });
+  });
+
+  it('should resolve the partition with a custom function', () => {
+    cacher.opts.partitionKey = key => key.split('/')[0];
+    return cacher
+      .set('posts/1', 'post')
+      .then(() => cacher.set('posts.find:a', 'post'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.partitions.posts.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.partitions.posts.client.set).toHaveBeenCalledWith(prefix + 'posts/1', serialize('post'), 5000);
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+      });
+  });
+});
+
+describe('Test RedisLRUCacher export & import', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  const readAll = stream => new Promise((resolve, reject) => {
+    let res = '';
+    stream.on('data', chunk => { res += chunk; });
+    stream.on('end', () => resolve(res));
+    stream.on('error', reject);
+  });
+
+  beforeEach(() => {
+    cacher = new RedisLRUCacher({ partitions: { posts: { max: 10 } } });
+    cacher.init(broker);
+    const createClient = () => ({
+      scan: jest.fn(() => Promise.resolve({ cursor: '0', keys: [] })),
+      dump: jest.fn(() => Promise.resolve([])),
+      restore: jest.fn(entries => Promise.resolve({ evicted: [], bytes: 100, count: entries.length }))
+    });
+    cacher.client = createClient();
+    cacher.partitions.posts.client = createClient();
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should export the entries of every partition as JSON lines', () => {
+    cacher.client.scan = jest.fn()
+      .mockResolvedValueOnce({ cursor: '12', keys: ['MOL-users.get:1'] })
+      .mockResolvedValueOnce({ cursor: '0', keys: ['MOL-users.get:2'] });
+    cacher.client.dump = jest.fn()
+      .mockResolvedValueOnce([{ key: 'MOL-users.get:1', value: serialize({ a: 1 }), ttl: 1500, score: -900, tags: ['MOL-users'], hits: 3, lastUsed: 900 }])
+      .mockResolvedValueOnce([{ key: 'MOL-users.get:2', value: serialize(2), ttl: -2, score: -800, tags: null, hits: 0, lastUsed: null }]);
+    cacher.partitions.posts.client.scan = jest.fn(() => Promise.resolve({ cursor: '0', keys: ['MOL-posts.get:1'] }));
+    cacher.partitions.posts.client.dump = jest.fn(() => Promise.resolve([
+      { key: 'MOL-posts.get:1', value: serialize('post'), ttl: -1, score: -700, tags: null, hits: 1, lastUsed: 700 }
+    ]));
+
+    return readAll(cacher.export({ match: 'users.**' }))
+      .catch(protectReject)
+      .then(res => {
+        expect(res.split('\n').filter(Boolean).map(line => JSON.parse(line))).toEqual([
+          { key: 'users.get:1', value: serialize({ a: 1 }).toString('base64'), ttl: 1.5, score: -900, tags: ['users'], hits: 3, lastUsed: 900 },
+          { key: 'posts.get:1', value: serialize('post').toString('base64'), ttl: null, score: -700, tags: null, hits: 1, lastUsed: 700 }
+        ]);
+        expect(cacher.client.scan).toHaveBeenNthCalledWith(2, '12', ['MOL-users.**'], 100);
+      });
+  });
+
+  it('should import the entries into their partitions', () => {
+    const stream = Readable.from([
+      JSON.stringify({ key: 'users.get:1', value: serialize({ a: 1 }).toString('base64'), ttl: 1.5, score: -900, tags: ['users'], hits: 3, lastUsed: 900 }) + '\n',
+      '\n',
+      JSON.stringify({ key: 'posts.get:1', value: serialize('post').toString('base64'), ttl: null, score: -700, tags: null, hits: 1, lastUsed: 700 }) + '\n'
+    ]);
+
+    return cacher
+      .import(stream)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toBe(2);
+        expect(cacher.client.restore).toHaveBeenCalledWith([
+          { key: 'MOL-users.get:1', value: serialize({ a: 1 }), maxAge: 1500, score: -900, tags: ['MOL-users'], hits: 3, lastUsed: 900 }
+        ]);
+        expect(cacher.partitions.posts.client.restore).toHaveBeenCalledWith([
+          { key: 'MOL-posts.get:1', value: serialize('post'), maxAge: null, score: -700, tags: null, hits: 1, lastUsed: 700 }
+        ]);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(2);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, written: ['MOL-users.get:1'] })
+        );
+      });
+  });
+
+  it('should restore the ttl in whole milliseconds and skip the expired entries', () => {
+    const stream = Readable.from([
+      JSON.stringify({ key: 'users.get:1', value: serialize(1).toString('base64'), ttl: 0, score: -900 }) + '\n',
+      JSON.stringify({ key: 'users.get:2', value: serialize(2).toString('base64'), ttl: 0.0004, score: -850 }) + '\n',
+      JSON.stringify({ key: 'users.get:3', value: serialize(3).toString('base64'), ttl: 1.001, score: -800 }) + '\n'
+    ]);
+
+    return cacher
+      .import(stream)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toBe(1);
+        expect(cacher.client.restore).toHaveBeenCalledTimes(1);
+        expect(cacher.client.restore.mock.calls[0][0].map(({ key, maxAge }) => ({ key, maxAge }))).toEqual([
+          { key: 'MOL-users.get:3', maxAge: 1001 }
+        ]);
+      });
+  });
+
+  it('should restore the entries batch by batch', () => {
+    const lines = [];
+    for (let i = 0; i < 150; i++) {
+      lines.push(JSON.stringify({ key: `users.get:${i}`, value: serialize(i).toString('base64'), ttl: null, score: -i }) + '\n');
+    }
+
+    return cacher
+      .import(Readable.from(lines))
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toBe(150);
+        expect(cacher.client.restore).toHaveBeenCalledTimes(2);
+        expect(cacher.client.restore.mock.calls[0][0]).toHaveLength(100);
+        expect(cacher.client.restore.mock.calls[1][0]).toHaveLength(50);
+      });
+  });
+
+  it('should reject an invalid snapshot', () => {
+    return cacher
+      .import(Readable.from(['{"key":"users.get:1"\n']))
+      .then(protectReject)
+      .catch(err => {
+        expect(err.message).toMatch('Invalid cache snapshot at line 1');
+        expect(cacher.client.restore).toHaveBeenCalledTimes(0);
+      });
+  });
+});
+
+describe('Test RedisLRUCacher getOrSet', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  const key = 'posts.find:abc';
+  const prefix = 'MOL-';
+
+  beforeEach(() => {
+    cacher = new RedisLRUCacher({ ttl: 60 });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(null)));
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 1 }));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should give back the cached data without calling the producer', () => {
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize('cached'))));
+    const producer = jest.fn();
+    return cacher
+      .getOrSet(key, producer)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('cached');
+        expect(producer).toHaveBeenCalledTimes(0);
+      });
+  });
+
+  it('should share a single producer between concurrent calls', () => {
+    const producer = jest.fn(() => Promise.resolve('produced'));
+    return Promise.all([cacher.getOrSet(key, producer, 30), cacher.getOrSet(key, producer, 30)])
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual(['produced', 'produced']);
+        expect(producer).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledWith(prefix + key, serialize('produced'), 30000);
+        expect(cacher.pendingProducers.size).toBe(0);
+      });
+  });
+
+  it('should produce under the lock of the key', () => {
+    const unlock = jest.fn(() => Promise.resolve());
+    cacher.redlock = {};
+    cacher.lock = jest.fn(() => Promise.resolve(unlock));
+    const producer = jest.fn(() => 'produced');
+    return cacher
+      .getOrSet(key, producer)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('produced');
+        expect(cacher.lock).toHaveBeenCalledWith(key);
+        // checked again once the lock is acquired
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(2);
+        expect(producer).toHaveBeenCalledTimes(1);
+        expect(unlock).toHaveBeenCalledTimes(1);
+      });
+  });
+
+  it('should not produce if an other node saved the data while waiting for the lock', () => {
+    const unlock = jest.fn(() => Promise.resolve());
+    cacher.redlock = {};
+    cacher.lock = jest.fn(() => Promise.resolve(unlock));
+    cacher.client.getWithTTL = jest.fn()
+      .mockResolvedValueOnce(entry(null))
+      .mockResolvedValueOnce(entry(serialize('saved by an other node')));
+    const producer = jest.fn();
+    return cacher
+      .getOrSet(key, producer)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('saved by an other node');
+        expect(producer).toHaveBeenCalledTimes(0);
+        expect(cacher.client.set).toHaveBeenCalledTimes(0);
+        expect(unlock).toHaveBeenCalledTimes(1);
+      });
+  });
+
+  it('should produce without the lock if it can not be acquired', () => {
+    cacher.redlock = {};
+    cacher.lock = jest.fn(() => Promise.reject(new Error('Exceeded 10 attempts to lock the resource')));
+    jest.spyOn(cacher.logger, 'warn');
+    const producer = jest.fn(() => 'produced');
+    return cacher
+      .getOrSet(key, producer)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('produced');
+        expect(cacher.logger.warn).toHaveBeenCalledWith(`Unable to acquire the lock of '${key}'. Producing without it.`, expect.any(Error));
+      });
+  });
+
+  it('should release the lock and reject if the producer fails', () => {
+    const error = new Error('Producer error');
+    const unlock = jest.fn(() => Promise.resolve());
+    cacher.redlock = {};
+    cacher.lock = jest.fn(() => Promise.resolve(unlock));
+    return cacher
+      .getOrSet(key, () => Promise.reject(error))
+      .then(protectReject)
+      .catch(err => {
+        expect(err).toBe(error);
+        expect(unlock).toHaveBeenCalledTimes(1);
+        expect(cacher.client.set).toHaveBeenCalledTimes(0);
+        expect(cacher.pendingProducers.size).toBe(0);
+      });
+  });
+
+  it('should not save empty data', () => {
+    return cacher
+      .getOrSet(key, () => undefined)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeUndefined();
+        expect(cacher.client.set).toHaveBeenCalledTimes(0);
+      });
+  });
+
+  it('should give back the produced data if it can not be saved', () => {
+    cacher.client.set = jest.fn(() => Promise.reject(new Error('Connection lost')));
+    jest.spyOn(cacher.logger, 'warn');
+    return cacher
+      .getOrSet(key, () => 'produced')
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('produced');
+        expect(cacher.logger.warn).toHaveBeenCalledWith(`Unable to save the produced data of '${key}'.`, expect.any(Error));
+        cacher.logger.warn.mockRestore();
+      });
+  });
+});
+
+describe('Test RedisLRUCacher stale-while-revalidate', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher, now, stored;
+
+  const key = 'posts.find:abc';
+  const prefix = 'MOL-';
+
+  beforeEach(() => {
+    cacher = new RedisLRUCacher({ ttl: 60 });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.set = jest.fn((key, value) => {
+      stored = value;
+      return Promise.resolve({ evicted: [], bytes: 100, count: 1 });
+    });
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(stored, 50000)));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+    now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    stored = null;
+  });
+
+  afterEach(() => now.mockRestore());
+
+  it('should expire the entry after the hard TTL and flag it stale after the soft TTL', () => {
+    return cacher
+      .set(key, { a: 1 }, null, { softTtl: 10, hardTtl: 120 })
+      .then(() => {
+        expect(cacher.client.set).toHaveBeenCalledWith(prefix + key, expect.any(Buffer), 120000);
+        return cacher.getWithTTL(key);
+      })
+      .then(res => {
+        expect(res).toEqual({ data: { a: 1 }, ttl: 50, stale: false });
+        now.mockReturnValue(11000);
+        return Promise.all([cacher.getWithTTL(key), cacher.get(key)]);
+      })
+      .then(([res, data]) => {
+        expect(res).toEqual({ data: { a: 1 }, ttl: 50, stale: true });
+        expect(data).toEqual({ a: 1 });
+      })
+      .catch(protectReject);
+  });
+
+  it('should flag the stale entries on get if asked', () => {
+    return cacher
+      .set(key, { a: 1 }, null, { softTtl: 10 })
+      .then(() => cacher.get(key, { flagStale: true }))
+      .then(res => {
+        expect(res).toEqual({ data: { a: 1 }, stale: false });
+        now.mockReturnValue(11000);
+        return Promise.all([cacher.get(key, { flagStale: true }), cacher.get(key)]);
+      })
+      .then(([res, data]) => {
+        expect(res).toEqual({ data: { a: 1 }, stale: true });
+        expect(data).toEqual({ a: 1 });
+        stored = null;
+        return cacher.get(key, { flagStale: true });
+      })
+      .then(res => {
+        expect(res).toEqual({ data: null, stale: false });
+      })
+      .catch(protectReject);
+  });
+
+  it('should flag the entries of the local cache as fresh', () => {
+    cacher = new RedisLRUCacher({ ttl: 60, local: { max: 10 } });
+    cacher.init(broker);
+    cacher._localSet(key, { a: 1 });
+    return cacher
+      .get(key, { flagStale: true })
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({ data: { a: 1 }, stale: false });
+      });
+  });
+
+  it('should read the entries saved without soft TTL as fresh', () => {
+    stored = serialize({ a: 1 });
+    return cacher
+      .getWithTTL(key)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual({ data: { a: 1 }, ttl: 50, stale: false });
+      });
+  });
+
+  it('should not give back the result of a failed refresh to getOrSet', () => {
+    jest.spyOn(cacher.logger, 'warn');
+    cacher._revalidate(key, () => Promise.reject(new Error('Service unavailable')));
+    return cacher
+      .getOrSet(key, () => 'fresh value')
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('fresh value');
+        expect(cacher.pendingRefreshes.size).toBe(0);
+        cacher.logger.warn.mockRestore();
+      });
+  });
+
+  describe('middleware', () => {
+    const action = { name: 'posts.find', cache: { softTtl: 10, hardTtl: 120 } };
+    const ctx = { params: { id: 5 }, meta: {} };
+    let handler, cacheKey;
+
+    beforeEach(() => {
+      handler = jest.fn(() => Promise.resolve('fresh'));
+      cacheKey = cacher.getCacheKey(action.name, ctx.params, ctx.meta);
+    });
+
+    it('should save the result with the soft and hard TTLs on miss', () => {
+      return cacher.middleware()(handler, action)(ctx)
+        .catch(protectReject)
+        .then(res => {
+          expect(res).toBe('fresh');
+          expect(handler).toHaveBeenCalledTimes(1);
+          expect(cacher.client.set).toHaveBeenCalledWith(prefix + cacheKey, expect.any(Buffer), 120000);
+        });
+    });
+
+    it('should serve the stale entry and refresh it in the background under the lock', () => {
+      const unlock = jest.fn(() => Promise.resolve());
+      cacher.redlock = {};
+      cacher.tryLock = jest.fn(() => Promise.resolve(unlock));
+      return cacher
+        .set(cacheKey, 'stale', null, { softTtl: 10 })
+        .then(() => {
+          now.mockReturnValue(11000);
+          return cacher.middleware()(handler, action)(ctx);
+        })
+        .then(res => {
+          expect(res).toBe('stale');
+          expect(ctx.cachedResult).toBe(true);
+          expect(cacher.tryLock).toHaveBeenCalledWith(cacheKey, undefined);
+          return cacher.pendingRefreshes.get(cacheKey);
+        })
+        .then(() => {
+          expect(handler).toHaveBeenCalledTimes(1);
+          expect(unlock).toHaveBeenCalledTimes(1);
+          expect(cacher.pendingRefreshes.size).toBe(0);
+          return cacher.getWithTTL(cacheKey);
+        })
+        .then(res => {
+          expect(res).toEqual({ data: 'fresh', ttl: 50, stale: false });
+        })
+        .catch(protectReject);
+    });
+
+    it('should not refresh if an other node holds the lock', () => {
+      cacher.redlock = {};
+      cacher.tryLock = jest.fn(() => Promise.reject(new Error('Locked')));
+      return cacher
+        .set(cacheKey, 'stale', null, { softTtl: 10 })
+        .then(() => {
+          now.mockReturnValue(11000);
+          return cacher.middleware()(handler, action)(ctx);
+        })
+        .then(res => {
+          expect(res).toBe('stale');
+          return cacher.pendingRefreshes.get(cacheKey);
+        })
+        .then(() => {
+          expect(handler).toHaveBeenCalledTimes(0);
+        })
+        .catch(protectReject);
+    });
+
+    it('should keep the stale entry if the refresh fails', () => {
+      handler = jest.fn(() => Promise.reject(new Error('Handler error')));
+      jest.spyOn(cacher.logger, 'warn');
+      return cacher
+        .set(cacheKey, 'stale', null, { softTtl: 10 })
+        .then(() => {
+          now.mockReturnValue(11000);
+          return cacher.middleware()(handler, action)(ctx);
+        })
+        .then(res => {
+          expect(res).toBe('stale');
+          return cacher.pendingRefreshes.get(cacheKey);
+        })
+        .then(() => {
+          expect(cacher.client.set).toHaveBeenCalledTimes(1);
+          expect(cacher.logger.warn).toHaveBeenCalledWith(`Unable to refresh the stale entry '${cacheKey}'.`, expect.any(Error));
+        })
+        .catch(protectReject);
+    });
+  });
+});
+
+describe('Test RedisLRUCacher circuit breaker', () => {
+  const broker = new ServiceBroker({ logger: false });
+  const error = new Error('Connection is closed.');
+  let cacher;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cacher = new RedisLRUCacher({ circuitBreaker: { threshold: 2, probeInterval: 100 } });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn(() => Promise.reject(error));
+    cacher.client.set = jest.fn(() => Promise.reject(error));
+    cacher.client.del = jest.fn(() => Promise.reject(error));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+    jest.spyOn(cacher.logger, 'warn');
+    jest.spyOn(cacher.metrics, 'set');
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('should set the default options', () => {
+    cacher = new RedisLRUCacher({ circuitBreaker: true });
+    expect(cacher.opts.circuitBreaker).toEqual({ threshold: 5, probeInterval: 5000 });
+  });
+
+  it('should resolve the fallbacks instead of rejecting', () => {
+    return Promise.all([cacher.get('posts.find:a'), cacher.set('posts.find:a', 1)])
+      .catch(protectReject)
+      .then(([data, res]) => {
+        expect(data).toBeNull();
+        expect(res).toBeNull();
+        expect(cacher.circuitOpen).toBe(true);
+      });
+  });
+
+  it('should bypass Redis once the circuit is open', () => {
+    return cacher.get('posts.find:a')
+      .then(() => cacher.get('posts.find:a'))
+      .then(() => {
+        expect(cacher.circuitOpen).toBe(true);
+        expect(cacher.logger.warn).toHaveBeenCalledWith('Redis is unavailable after 2 consecutive errors. Circuit opened, the cache is disabled.', error);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.circuit.open', 1);
+        return Promise.all([cacher.get('posts.find:a'), cacher.set('posts.find:a', 1), cacher.del('posts.find:a')]);
+      })
+      .then(res => {
+        expect(res).toEqual([null, null, null]);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(2);
+        expect(cacher.client.set).toHaveBeenCalledTimes(0);
+        expect(cacher.client.del).toHaveBeenCalledTimes(0);
+      })
+      .catch(protectReject);
+  });
+
+  it('should reject the data which can not be serialized without opening the circuit', () => {
+    const data = { id: BigInt(1) };
+    return Promise.all([1, 2, 3].map(() => cacher.set('posts.find:a', data).then(protectReject, err => err)))
+      .then(errors => {
+        errors.forEach(err => {
+          expect(err).toBeInstanceOf(MoleculerError);
+          expect(err.type).toBe('CACHER_SERIALIZATION_ERROR');
+        });
+        expect(cacher.circuitOpen).toBe(false);
+        expect(cacher.consecutiveErrors).toBe(0);
+        expect(cacher.client.set).toHaveBeenCalledTimes(0);
+      });
+  });
+
+  it('should produce without lock while the circuit is open', () => {
+    cacher.redlock = {};
+    cacher.lock = jest.fn();
+    cacher.tryLock = jest.fn();
+    cacher.circuitOpen = true;
+    const producer = jest.fn(() => 'produced');
+    return cacher
+      .getOrSet('posts.find:a', producer)
+      .then(data => {
+        expect(data).toBe('produced');
+        cacher._revalidate('posts.find:b', producer);
+        return cacher.pendingRefreshes.get('posts.find:b');
+      })
+      .then(() => {
+        expect(producer).toHaveBeenCalledTimes(2);
+        expect(cacher.lock).toHaveBeenCalledTimes(0);
+        expect(cacher.tryLock).toHaveBeenCalledTimes(0);
+      })
+      .catch(protectReject);
+  });
+
+  it('should count the connection errors', () => {
+    const onError = cacher.clientRedis.on.mock.calls.find(([event]) => event === 'error')[1];
+    onError(error);
+    expect(cacher.circuitOpen).toBe(false);
+    onError(error);
+    expect(cacher.circuitOpen).toBe(true);
+  });
+
+  it('should reset the count of errors on success', () => {
+    cacher.client.getWithTTL = jest.fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce(entry(null))
+      .mockRejectedValueOnce(error);
+    return cacher.get('posts.find:a')
+      .then(() => cacher.get('posts.find:a'))
+      .then(() => cacher.get('posts.find:a'))
+      .then(() => {
+        expect(cacher.circuitOpen).toBe(false);
+      })
+      .catch(protectReject);
+  });
+
+  it('should close the circuit once the probe succeeds', () => {
+    cacher.clientRedis.ping = jest.fn()
+      .mockRejectedValueOnce(error)
+      .mockRejectedValueOnce(error)
+      .mockResolvedValue('PONG');
+
+    jest.advanceTimersByTime(100);
+    return Promise.resolve()
+      .then(() => {
+        jest.advanceTimersByTime(100);
+      })
+      .then(() => Promise.resolve())
+      .then(() => {
+        expect(cacher.circuitOpen).toBe(true);
+        jest.advanceTimersByTime(100);
+      })
+      .then(() => Promise.resolve())
+      .then(() => {
+        expect(cacher.clientRedis.ping).toHaveBeenCalledTimes(3);
+        expect(cacher.circuitOpen).toBe(false);
+        expect(cacher.metrics.set).toHaveBeenCalledWith('moleculer.cacher.circuit.open', 0);
+        expect(cacher.logger.warn).toHaveBeenCalledWith('Redis is available again. Circuit closed, the cache is enabled.');
+      })
+      .catch(protectReject);
+  });
+});
+
+describe('Test RedisLRUCacher timeouts', () => {
+  const broker = new ServiceBroker({ logger: false });
+  const never = () => new Promise(() => {});
+  let cacher;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cacher = new RedisLRUCacher({ timeout: 200 });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn(never);
+    cacher.client.set = jest.fn(never);
+    cacher.client.del = jest.fn(never);
+    cacher.client.clean = jest.fn(never);
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+    jest.spyOn(cacher.metrics, 'increment');
+  });
+
+  afterEach(() => {
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('should handle the timeout of a read as a miss', () => {
+    const p = cacher.get('posts.find:a');
+    jest.advanceTimersByTime(200);
+    return p
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeNull();
+        expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.timeout.total', { operation: 'get' });
+      });
+  });
+
+  it('should override the timeout per call', () => {
+    const p = cacher.get('posts.find:a', { timeout: 50 });
+    jest.advanceTimersByTime(50);
+    return p
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeNull();
+      });
+  });
+
+  it('should handle the timeout of a write as a no-op', () => {
+    cacher.client.setMany = jest.fn(never);
+    const timeEnd = jest.fn();
+    jest.spyOn(cacher.metrics, 'timer').mockReturnValue(timeEnd);
+    const p = Promise.all([
+      cacher.set('posts.find:a', 1),
+      cacher.setMany([{ key: 'posts.find:b', data: 2 }]),
+      cacher.del('posts.find:a', { timeout: 100 }),
+      cacher.clean('**')
+    ]);
+    return Promise.resolve()
+      .then(() => jest.advanceTimersByTime(200))
+      .then(() => p)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual([null, [], null, 0]);
+        expect(timeEnd).toHaveBeenCalledTimes(4);
+        ['set', 'del', 'clean'].forEach(operation =>
+          expect(cacher.metrics.increment).toHaveBeenCalledWith('moleculer.cacher.timeout.total', { operation }));
+      });
+  });
+
+  it('should drop the local copies when a delete times out', () => {
+    cacher = new RedisLRUCacher({ timeout: 200, local: { max: 10 } });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.del = jest.fn(never);
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+    cacher._localSet('posts.find:a', 'cached');
+    const p = cacher.del('posts.find:a');
+    return Promise.resolve()
+      .then(() => jest.advanceTimersByTime(200))
+      .then(() => p)
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toBeNull();
+        expect(cacher._localGet('posts.find:a')).toBeUndefined();
+      });
+  });
+
+  it('should reject the errors of Redis other than timeouts as is', () => {
+    cacher = new RedisLRUCacher({ timeout: 200, local: { max: 10 } });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.del = jest.fn(() => Promise.reject(new Error('Redis error')));
+    cacher.client.clean = jest.fn(() => Promise.reject(new Error('Redis error')));
+    const timeEnd = jest.fn();
+    jest.spyOn(cacher.metrics, 'timer').mockReturnValue(timeEnd);
+    cacher._localSet('posts.find:a', 'cached');
+    return Promise.all([
+      cacher.del('posts.find:a').then(protectReject, err => err),
+      cacher.clean('posts.**').then(protectReject, err => err)
+    ]).then(errors => {
+      errors.forEach(err => expect(err.message).toBe('Redis error'));
+      expect(timeEnd).toHaveBeenCalledTimes(2);
+      // the fallback of a timeout isn't used
+      expect(cacher._localGet('posts.find:a')).toBe('cached');
+    });
+  });
+
+  it('should clear the timer of the calls answered in time', () => {
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize('cached'))));
+    return cacher
+      .get('posts.find:a')
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBe('cached');
+        expect(jest.getTimerCount()).toBe(0);
+      });
+  });
+
+  it('should count the timeouts as errors of the circuit breaker', () => {
+    cacher = new RedisLRUCacher({ timeout: 200, circuitBreaker: { threshold: 1 } });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn(never);
+    const p = cacher.get('posts.find:a');
+    return Promise.resolve()
+      .then(() => jest.advanceTimersByTime(200))
+      .then(() => p)
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeNull();
+        expect(cacher.circuitOpen).toBe(true);
+      });
+  });
+});
+
+describe('Test RedisLRUCacher invalidation broadcast', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  const prefix = 'MOL-';
+  const onMessage = (...args) => cacher.clientSub.on.mock.calls.find(([event]) => event === 'message')[1](...args);
+
+  beforeEach(() => {
+    cacher = new RedisLRUCacher();
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.del = jest.fn(() => Promise.resolve({ removed: 1, bytes: 50, count: 1 }));
+    cacher.client.clean = jest.fn(() => Promise.resolve({ removed: 2, bytes: 0, count: 0 }));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should publish del & clean without local cache', () => {
+    return cacher
+      .del(['posts.1', 'posts.2'])
+      .then(() => cacher.clean('users.**'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(2);
+        expect(cacher.clientRedis.publish).toHaveBeenNthCalledWith(
+          1,
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, keys: [prefix + 'posts.1', prefix + 'posts.2'] })
+        );
+        expect(cacher.clientRedis.publish).toHaveBeenNthCalledWith(
+          2,
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, patterns: [prefix + 'users.**'] })
+        );
+      });
+  });
+
+  it('should publish the writes without local cache', () => {
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 1 }));
+    cacher.client.setMany = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 1 }));
+    return cacher
+      .set('posts.1', 1)
+      .then(() => cacher.setMany([{ key: 'posts.2', data: 2 }]))
+      .catch(protectReject)
+      .then(() => {
+        // the other nodes may have a local cache
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(2);
+        expect(cacher.clientRedis.publish).toHaveBeenNthCalledWith(
+          1,
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, written: [prefix + 'posts.1'] })
+        );
+        expect(cacher.clientRedis.publish).toHaveBeenNthCalledWith(
+          2,
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, written: [prefix + 'posts.2'] })
+        );
+      });
+  });
+
+  it('should emit every invalidation message as a local event', () => {
+    jest.spyOn(broker, 'broadcastLocal');
+    onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: 'other', keys: ['DEV-posts.1'] }));
+    onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: broker.instanceID, patterns: [prefix + '**'] }));
+    onMessage('REDIS-LRU!-invalidate', 'malformed');
+    onMessage('other-channel', JSON.stringify({ sender: 'other', keys: ['x'] }));
+
+    expect(broker.broadcastLocal).toHaveBeenCalledTimes(2);
+    expect(broker.broadcastLocal).toHaveBeenNthCalledWith(1, '$cacher.invalidated', { sender: 'other', keys: ['DEV-posts.1'] });
+    expect(broker.broadcastLocal).toHaveBeenNthCalledWith(2, '$cacher.invalidated', { sender: broker.instanceID, patterns: [prefix + '**'] });
+    broker.broadcastLocal.mockRestore();
+  });
+
+  it('should not fail the operation if the message can not be published', () => {
+    cacher.clientRedis.publish = jest.fn(() => Promise.reject(new Error('Connection lost')));
+    jest.spyOn(cacher.logger, 'error');
+    return cacher
+      .del('posts.1')
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.logger.error).toHaveBeenCalledWith('Unable to publish the cache invalidation message.', expect.any(Error));
+        cacher.logger.error.mockRestore();
+      });
+  });
+});
+
+describe('Test RedisLRUCacher resize', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  const onMessage = (...args) => cacher.clientSub.on.mock.calls.find(([event]) => event === 'message')[1](...args);
+
+  beforeEach(() => {
+    cacher = new RedisLRUCacher();
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should resize the cache and propagate it', () => {
+    cacher.client.resize = jest.fn(() => Promise.resolve({ evicted: ['MOL-posts.get:1'], bytes: 50, count: 10 }));
+    const broadcast = jest.spyOn(broker, 'broadcastLocal');
+    return cacher
+      .resize(10, { propagate: true })
+      .catch(protectReject)
+      .then(evicted => {
+        expect(evicted).toEqual(['posts.get:1']);
+        expect(cacher.opts.max).toBe(10);
+        expect(cacher.client.resize).toHaveBeenCalledWith(10);
+        expect(broadcast).toHaveBeenCalledWith('$cacher.evicted', { keys: ['posts.get:1'] });
+        expect(cacher.clientRedis.publish).toHaveBeenCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, resize: { max: 10, partition: null } })
+        );
+        broadcast.mockRestore();
+      });
+  });
+
+  it('should resize a partition of this node only', () => {
+    cacher = new RedisLRUCacher({ partitions: { posts: { max: 100 } } });
+    cacher.init(broker);
+    cacher.partitions.posts.client = { resize: jest.fn(() => Promise.resolve({ evicted: [], bytes: 0, count: 0 })) };
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+    return cacher
+      .resize(20, { partition: 'posts' })
+      .catch(protectReject)
+      .then(evicted => {
+        expect(evicted).toEqual([]);
+        expect(cacher.opts.partitions.posts.max).toBe(20);
+        expect(cacher.partitions.posts.client.resize).toHaveBeenCalledWith(20);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(0);
+      });
+  });
+
+  it('should reject an invalid size or partition', () => {
+    return Promise.all([
+      cacher.resize(0).then(protectReject, err => err),
+      cacher.resize(1.5).then(protectReject, err => err),
+      cacher.resize(10, { partition: 'unknown' }).then(protectReject, err => err)
+    ]).then(errors => {
+      errors.forEach(err => expect(err).toBeInstanceOf(BrokerOptionsError));
+      expect(errors[2].message).toBe("Unknown partition 'unknown'.");
+    });
+  });
+
+  it('should resize on the resize messages of the other nodes', () => {
+    cacher.client.resize = jest.fn(() => Promise.resolve({ evicted: [], bytes: 0, count: 0 }));
+    const broadcast = jest.spyOn(broker, 'broadcastLocal');
+    onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: broker.instanceID, resize: { max: 5, partition: null } }));
+    expect(cacher.client.resize).toHaveBeenCalledTimes(0);
+
+    onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: 'other-node', resize: { max: 5, partition: null } }));
+    expect(cacher.client.resize).toHaveBeenCalledWith(5);
+    expect(broadcast).not.toHaveBeenCalledWith('$cacher.invalidated', expect.anything());
+    broadcast.mockRestore();
+  });
+});
+
+describe('Test RedisLRUCacher with local cache', () => {
+  const broker = new ServiceBroker({ logger: false });
+  let cacher;
+
+  let key = 'posts.find';
+  let data1 = { a: 1 };
+  let prefix = 'MOL-';
+
+  const messageHandler = () => cacher.clientSub.on.mock.calls.find(([event]) => event === 'message')[1];
+
+  beforeEach(() => {
+    Redis.mockClear();
+    LRU.mockClear();
+
+    cacher = new RedisLRUCacher({ ttl: 60, local: { max: 10, ttl: 5 } });
+    cacher.init(broker);
+
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn(() => Promise.resolve(entry(serialize(data1))));
+    cacher.client.set = jest.fn(() => Promise.resolve({ evicted: [], bytes: 100, count: 2 }));
+    cacher.client.del = jest.fn(() => Promise.resolve({ removed: 1, bytes: 50, count: 1 }));
+    cacher.client.clean = jest.fn(() => Promise.resolve({ removed: 1, bytes: 0, count: 0 }));
+    cacher.client.getManyWithTTL = jest.fn(() => Promise.resolve([entry(serialize(data1))]));
+    cacher.clientRedis.publish = jest.fn(() => Promise.resolve(1));
+  });
+
+  it('should subscribe to the invalidation channel on a dedicated client', () => {
+    expect(Redis).toHaveBeenCalledTimes(2);
+    expect(cacher.clientSub).toBeInstanceOf(Redis);
+    expect(cacher.clientSub).not.toBe(cacher.clientRedis);
+    expect(cacher.clientSub.subscribe).toHaveBeenCalledTimes(1);
+    expect(cacher.clientSub.subscribe).toHaveBeenCalledWith('REDIS-LRU!-invalidate', expect.any(Function));
+  });
+
+  it('should serve the second get from the local cache', () => {
+    return cacher
+      .get(key)
+      .then(() => cacher.get(key))
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toEqual(data1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+      });
+  });
+
+  it('should serve getMany from the local cache', () => {
+    return cacher
+      .get(key)
+      .then(() => cacher.getMany([key, 'users.get']))
+      .catch(protectReject)
+      .then(res => {
+        expect(res).toEqual([data1, data1]);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getManyWithTTL).toHaveBeenCalledWith([prefix + 'users.get']);
+      });
+  });
+
+  it('should expire the local copy with the Redis entry', () => {
+    cacher = new RedisLRUCacher({ local: { max: 10 } });
+    cacher.init(broker);
+    cacher.client = jest.fn();
+    cacher.client.getWithTTL = jest.fn()
+      .mockResolvedValueOnce(entry(serialize(data1), 50))
+      .mockResolvedValueOnce(entry(null));
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    return cacher
+      .get(key)
+      .then(() => cacher.get(key))
+      .then(data => {
+        expect(data).toEqual(data1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+
+        now.mockReturnValue(1060);
+        return cacher.get(key);
+      })
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toBeNull();
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(2);
+        now.mockRestore();
+      });
+  });
+
+  it('should save into the local cache and notify the other nodes', () => {
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.get(key))
+      .catch(protectReject)
+      .then(data => {
+        expect(data).toEqual(data1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(0);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(1);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, written: [prefix + key] })
+        );
+      });
+  });
+
+  it('should remove from the local cache and notify the other nodes', () => {
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.del(key))
+      .then(() => cacher.get(key))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.clientRedis.publish).toHaveBeenCalledTimes(2);
+        expect(cacher.clientRedis.publish).toHaveBeenLastCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, keys: [prefix + key] })
+        );
+      });
+  });
+
+  it('should clean the local cache and notify the other nodes', () => {
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.set('users.get', data1))
+      .then(() => cacher.clean('posts.*'))
+      .then(() => cacher.get(key))
+      .then(() => cacher.get('users.get'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
+        expect(cacher.clientRedis.publish).toHaveBeenLastCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, patterns: [prefix + 'posts.*'] })
+        );
+      });
+  });
+
+  it('should remove the tagged entries from the local cache and notify the other nodes', () => {
+    cacher.client.invalidateTags = jest.fn(() => Promise.resolve({ keys: [prefix + key], bytes: 0, count: 0 }));
+    return cacher
+      .set(key, data1, null, { tags: ['posts'] })
+      .then(() => cacher.invalidateTags(['posts']))
+      .then(() => cacher.get(key))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.clientRedis.publish).toHaveBeenLastCalledWith(
+          'REDIS-LRU!-invalidate',
+          JSON.stringify({ sender: broker.instanceID, keys: [prefix + key] })
+        );
+      });
+  });
+
+  it('should invalidate the local cache by the messages of other nodes', () => {
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.set('users.get', data1))
+      .then(() => {
+        const onMessage = messageHandler();
+        onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: 'other', keys: [prefix + key] }));
+        onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: broker.instanceID, patterns: [prefix + '**'] }));
+        onMessage('REDIS-LRU!-invalidate', 'malformed');
+      })
+      .then(() => cacher.get(key))
+      .then(() => cacher.get('users.get'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
+      });
+  });
+
+  it('should drop the local copies on the write messages of other nodes, without event', () => {
+    const broadcast = jest.spyOn(broker, 'broadcastLocal');
+    return cacher
+      .set(key, data1)
+      .then(() => cacher.set('users.get', data1))
+      .then(() => {
+        const onMessage = messageHandler();
+        onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: 'other', written: [prefix + key] }));
+        onMessage('REDIS-LRU!-invalidate', JSON.stringify({ sender: broker.instanceID, written: [prefix + 'users.get'] }));
+      })
+      .then(() => cacher.get(key))
+      .then(() => cacher.get('users.get'))
+      .catch(protectReject)
+      .then(() => {
+        expect(cacher.client.getWithTTL).toHaveBeenCalledTimes(1);
+        expect(cacher.client.getWithTTL).toHaveBeenCalledWith(prefix + key);
+        expect(broadcast).not.toHaveBeenCalledWith('$cacher.invalidated', expect.anything());
+        broadcast.mockRestore();
+      });
+  });
+
+  it('should quit both clients on close', () => {
+    return cacher.close().then(() => {
+      expect(cacher.clientRedis.quit).toHaveBeenCalledTimes(1);
+      expect(cacher.clientSub.quit).toHaveBeenCalledTimes(1);
+    });
+  });
 });
 
 describe('Test RedisLRUCacher close', () => {
@@ -0,0 +1,236 @@
+const Redis = require('ioredis');
+const LRU = require('../src/lru');
+
+// The scripts run on the Redis server of `REDIS_URL`, which is flushed before every test
+const describeRedis = process.env.REDIS_URL ? describe : describe.skip;
+
+describeRedis('Test LRU scripts on Redis', () => {
+  let client, now;
+
+  const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+  beforeAll(() => {
+    client = new Redis(process.env.REDIS_URL);
+  });
+
+  afterAll(() => client.quit());
+
+  beforeEach(() => {
+    // every call is 10 ms after the previous one, so the scores never tie
+    let time = 1000;
+    now = jest.spyOn(Date, 'now').mockImplementation(() => (time += 10));
+    return client.flushdb();
+  });
+
+  afterEach(() => now.mockRestore());
+
+  describe('eviction policies', () => {
+    // `a` is used three times but long ago, `b` once but recently and expires first
+    const fill = lru => lru
+      .set('a', '1', 60000)
+      .then(() => lru.get('a'))
+      .then(() => lru.get('a'))
+      .then(() => lru.set('b', '2', 10000))
+      .then(() => lru.set('c', '3'));
+
+    it("should evict the least recently used entry with 'lru'", () => {
+      const lru = LRU(client, { max: 2, namespace: 'NS', evictionPolicy: 'lru' });
+      return fill(lru).then(res => {
+        expect(res.evicted).toEqual(['a']);
+        return lru.keys();
+      }).then(keys => {
+        expect(keys.sort()).toEqual(['b', 'c']);
+      });
+    });
+
+    it("should evict the least frequently used entry with 'lfu'", () => {
+      const lru = LRU(client, { max: 2, namespace: 'NS', evictionPolicy: 'lfu' });
+      return fill(lru).then(res => {
+        expect(res.evicted).toEqual(['b']);
+        return lru.keys();
+      }).then(keys => {
+        expect(keys.sort()).toEqual(['a', 'c']);
+      });
+    });
+
+    it("should evict the entry expiring first with 'lru-ttl'", () => {
+      const lru = LRU(client, { max: 2, namespace: 'NS', evictionPolicy: 'lru-ttl' });
+      return fill(lru).then(res => {
+        expect(res.evicted).toEqual(['b']);
+        return lru.keys();
+      }).then(keys => {
+        expect(keys.sort()).toEqual(['a', 'c']);
+      });
+    });
+
+    it("should evict the persistent entries last with 'lru-ttl'", () => {
+      const lru = LRU(client, { max: 2, namespace: 'NS', evictionPolicy: 'lru-ttl' });
+      return lru
+        .set('persistent', '1')
+        .then(() => lru.set('a', '2', 60000))
+        .then(() => lru.set('b', '3', 60000))
+        .then(res => {
+          expect(res.evicted).toEqual(['a']);
+        });
+    });
+  });
+
+  it('should spare the entries just written as long as possible', () => {
+    const lru = LRU(client, { max: 2, namespace: 'NS' });
+    return lru
+      .set('old', '1')
+      .then(() => lru.setMany([{ key: 'a', value: '2' }, { key: 'b', value: '3' }]))
+      .then(res => {
+        expect(res).toEqual({ evicted: ['old'], bytes: 2, count: 2 });
+        return lru.setMany([{ key: 'c', value: '4' }, { key: 'd', value: '5' }, { key: 'e', value: '6' }]);
+      })
+      .then(res => {
+        // a and b first, then one of the new entries as they don't fit
+        expect(res.evicted).toHaveLength(3);
+        expect(res.evicted.slice(0, 2).sort()).toEqual(['a', 'b']);
+        expect(res.count).toBe(2);
+      });
+  });
+
+  it('should evict by score until the values fit into maxBytes', () => {
+    const lru = LRU(client, { max: 10, maxBytes: 10, namespace: 'NS' });
+    return lru
+      .set('a', '12345')
+      .then(() => lru.set('b', '12345'))
+      .then(() => lru.get('a'))
+      .then(() => lru.set('c', '123'))
+      .then(res => {
+        expect(res).toEqual({ evicted: ['b'], bytes: 8, count: 2 });
+        return lru.bytes();
+      })
+      .then(bytes => {
+        expect(bytes).toBe(8);
+      });
+  });
+
+  it('should give back the values with their remaining ttl', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    return lru
+      .set('a', '1', 60000)
+      .then(() => lru.set('b', '2'))
+      .then(() => lru.getManyWithTTL(['a', 'b', 'missing']))
+      .then(([a, b, missing]) => {
+        expect(a.value).toEqual(Buffer.from('1'));
+        expect(a.ttl).toBeGreaterThan(59000);
+        expect(b).toEqual({ value: Buffer.from('2'), ttl: -1 });
+        expect(missing).toEqual({ value: null, ttl: -2 });
+      });
+  });
+
+  it('should save an entry with a fractional maxAge', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    // 1.001 s in milliseconds is 1000.9999999999999
+    return lru
+      .set('a', '1', 1.001 * 1000)
+      .then(() => lru.getWithTTL('a'))
+      .then(a => {
+        expect(a.value).toEqual(Buffer.from('1'));
+        expect(a.ttl).toBeGreaterThan(0);
+        expect(a.ttl).toBeLessThanOrEqual(1001);
+      });
+  });
+
+  it('should restore an entry with the ttl of a snapshot', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    // a PTTL of 1001 ms is exported as 1.001 s, and comes back as 1000.9999999999999
+    return lru
+      .restore([{ key: 'a', value: '1', maxAge: 1.001 * 1000, score: -900 }])
+      .then(() => lru.getWithTTL('a'))
+      .then(a => {
+        expect(a.value).toEqual(Buffer.from('1'));
+        expect(a.ttl).toBeGreaterThan(0);
+        expect(a.ttl).toBeLessThanOrEqual(1001);
+      });
+  });
+
+  it('should remove the expired entries from the index when read', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    return lru
+      .set('a', '1', 20)
+      .then(() => sleep(50))
+      .then(() => lru.get('a'))
+      .then(value => {
+        expect(value).toBeNull();
+        return Promise.all([lru.count(), lru.bytes()]);
+      })
+      .then(([count, bytes]) => {
+        expect(count).toBe(0);
+        expect(bytes).toBe(0);
+      });
+  });
+
+  describe('tags', () => {
+    let lru;
+
+    beforeEach(() => {
+      lru = LRU(client, { max: 10, namespace: 'NS' });
+      return lru
+        .set('expired', '12', 20, ['posts'])
+        .then(() => lru.set('a', '3', null, ['posts']))
+        .then(() => sleep(50));
+    });
+
+    const expectUntagged = member => Promise
+      .all([client.sismember('NS-t-posts', member), client.hexists('NS-g', member)])
+      .then(res => {
+        expect(res).toEqual([0, 0]);
+      });
+
+    it('should remove the entries by tag, without the expired ones', () => {
+      return lru
+        .invalidateTags(['posts'])
+        .then(res => {
+          expect(res).toEqual({ keys: ['a'], bytes: 0, count: 0 });
+          return client.exists('NS-t-posts');
+        })
+        .then(exists => {
+          expect(exists).toBe(0);
+        });
+    });
+
+    it('should sweep the expired tagged entries on write', () => {
+      return lru
+        .set('b', '4')
+        .then(res => {
+          expect(res).toEqual({ evicted: [], bytes: 2, count: 2 });
+          return expectUntagged('NS-k-expired');
+        });
+    });
+
+    it('should sweep the expired tagged entries on clean', () => {
+      return lru
+        .clean(['users.*'])
+        .then(res => {
+          expect(res).toEqual({ removed: 0, bytes: 1, count: 1 });
+          return expectUntagged('NS-k-expired');
+        })
+        .then(() => lru.keys())
+        .then(keys => {
+          expect(keys).toEqual(['a']);
+        });
+    });
+  });
+
+  it('should keep the sizes in sync on del and clean', () => {
+    const lru = LRU(client, { max: 10, namespace: 'NS' });
+    return lru
+      .setMany([{ key: 'posts.a', value: '12' }, { key: 'posts.b', value: '345' }, { key: 'users.a', value: '6' }])
+      .then(() => lru.del('posts.a'))
+      .then(res => {
+        expect(res).toEqual({ removed: 1, bytes: 4, count: 2 });
+        return lru.clean(['posts.*']);
+      })
+      .then(res => {
+        expect(res).toEqual({ removed: 1, bytes: 1, count: 1 });
+        return lru.keys();
+      })
+      .then(keys => {
+        expect(keys).toEqual(['users.a']);
+      });
+  });
+});
@@ -0,0 +1,31 @@
+const { globToLuaPattern } = require('../src/utils');
+
+describe('Test globToLuaPattern', () => {
+  it('should anchor plain keys', () => {
+    expect(globToLuaPattern('posts')).toBe('^posts$');
+  });
+
+  it('should convert wildcards', () => {
+    expect(globToLuaPattern('**')).toBe('^.*$');
+    expect(globToLuaPattern('*')).toBe('^[^.]*$');
+    expect(globToLuaPattern('posts.*')).toBe('^posts%.[^.]*$');
+    expect(globToLuaPattern('posts.**')).toBe('^posts%..*$');
+    expect(globToLuaPattern('post?')).toBe('^post.$');
+  });
+
+  it('should escape lua magic characters', () => {
+    expect(globToLuaPattern('a-b+c(d)[e]%f^g$')).toBe('^a%-b%+c%(d%)%[e%]%%f%^g%$$');
+  });
+
+  it('should match like moleculer', () => {
+    const utils = require('moleculer/src/utils');
+    const toRegExp = pattern => new RegExp(pattern.replace(/%(.)/g, '\\$1'));
+    const keys = ['posts.find', 'posts.find.123', 'users.get', 'postsfind'];
+
+    ['**', '*', 'posts.*', 'posts.**', 'posts?find', 'posts.f?nd'].forEach(pattern => {
+      keys.forEach(key => {
+        expect(toRegExp(globToLuaPattern(pattern)).test(key)).toBe(utils.match(key, pattern));
+      });
+    });
+  });
+});